@@ -1 +1 @@
-(function(b){function a(){this.linked_select_box=null;this.options={};this.replacement_container_div=null;this.replacement_options_div=null;this.selected_option_div=null;this.arrow_span=null;this.current_value=null;this.initStyledSelect=function(c,l){this.options=l;this.linked_select_box=b(c);var j=null;if(this.linked_select_box.prop("id")!=null){j=this.linked_select_box.prop("id")+"StyledSelect"}var k=(this.options.full_replacement==true||(this.linked_select_box.attr("data-styled-select-type")!=null&&this.linked_select_box.attr("data-styled-select-type")=="full"));var d=(this.options.multiline==true||(this.linked_select_box.attr("data-styled-select-multiline")!=null&&this.linked_select_box.attr("data-styled-select-multiline")=="true"));this.replacement_container_div=b("<div></div>").addClass("styled_select").prop("id",j);this.selected_option_div=b("<div></div>").addClass("styled_select_option_display");this.arrow_span=b("<span>&nbsp;</span>").addClass("styled_select_arrow").css({backgroundImage:"url("+this.options.image_base+"/small-arrow.png)"});if(l.include_separator_border){var g=this.replacement_container_div.css("border-left-width")+" "+this.replacement_container_div.css("border-left-style")+" "+this.replacement_container_div.css("border-left-color");this.arrow_span.css({borderLeft:g})}this.replacement_container_div.append(this.selected_option_div).append(this.arrow_span);if(this.options.z_index!=null){this.replacement_container_div.css({zIndex:this.options.z_index});this.linked_select_box.css({zIndex:(this.options.z_index+1)})}if(this.options.classes.length>0){for(var h=0;h<this.options.classes.length;h++){this.replacement_container_div.addClass(this.options.classes[h])}}if(k){this.replacement_container_div.addClass("styled-select-full-replacement");this.linked_select_box.addClass("styled-select-full-replacement");if(d){this.replacement_container_div.addClass("styled-select-multiline")}if(this.linked_select_box.attr("title")!=null){this.replacement_container_div.attr("title",this.linked_select_box.attr("title"))}if(this.linked_select_box.attr("tabindex")!=null){this.replacement_container_div.attr("tabindex",this.linked_select_box.attr("tabindex"));this.linked_select_box.attr("tabindex",-1)}else{this.replacement_container_div.attr("tabindex",0)}this.generateOptions()}this.linked_select_box.after(this.replacement_container_div);this.resize();this.linked_select_box.addClass("original_select_now_styled");this.linked_select_box.on("change.styledSelect",b.proxy(this.setCurrentSelectedTextAndValue,this)).on("keyup.styledSelect",b.proxy(this.setCurrentSelectedTextAndValue,this));if(k){this.replacement_container_div.on("click.styledSelect",b.proxy(this.simulateSelectBoxEvent,this)).on("keydown.styledSelect",b.proxy(this.simulateSelectBoxEvent,this)).on("focusout.styledSelect",b.proxy(this.simulateSelectBoxEvent,this));var f=b.data(b(window).get(0),"events");var e=true;if(f!=null){b.each(f,function(i,m){if(i=="resize"&&m[0].namespace=="styledSelect"){e=false}})}if(e){b(window).on("resize.styledSelect",this.resizeOptions);this.resizeOptions()}}this.setCurrentSelectedTextAndValue()};this.resize=function(){this.replacement_container_div.css({width:this.linked_select_box.outerWidth()+"px"});var d={width:(parseInt(this.replacement_container_div.innerWidth()-this.arrow_span.outerWidth()))+"px"};if(this.options.widget_height!=null){var c={height:this.options.widget_height+"px"};this.linked_select_box.css({height:this.options.widget_height+"px",lineHeight:(parseInt(this.options.widget_height)-2)+"px"});d.height=this.options.widget_height+"px";c.lineHeight=(parseInt(this.options.widget_height)-2)+"px";if(b.browser.msie&&parseInt(b.browser.version)<=8){c.lineHeight=this.options.widget_height+"px"}this.replacement_container_div.css(c)}else{d.height=this.linked_select_box.height()+"px"}this.selected_option_div.css(d)};this.generateOptions=function(){this.replacement_options_div=b("<div></div>").addClass("styled_select_options_container");var c=this.linked_select_box.html();c=c.replace(/\<option/gi,'<div class="option"').replace(/\<\/option/gi,"</div").replace(/\<optgroup/gi,'<div class="optgroup"').replace(/\<\/optgroup/gi,"</div");this.replacement_options_div.html(c);this.replacement_options_div.find("div.optgroup").each(function(e,d){b(d).prepend(b("<div></div>").html(b(d).attr("label")).addClass("optgroup_label"))});this.replacement_container_div.append(this.replacement_options_div)};this.triggerIntermediaryChange=function(c,d){if(d!=null&&d.length>0){if(this.replacement_options_div.data("current_option")==null){this.replacement_options_div.data("current_option",c)}this.replacement_options_div.data("new_option",d);if(this.replacement_options_div.hasClass("show")){this.replacement_options_div.find("div.option").removeClass("highlight");d.addClass("highlight")}this.replacement_container_div.find("div.styled_select_option_display").html(d.html());this.current_value=d.attr("value")}};this.triggerValueChange=function(c){this.linked_select_box.val(c).trigger("change");this.replacement_options_div.find("div.option").removeClass("highlight");this.replacement_options_div.removeData("current_option");this.replacement_options_div.removeData("new_option");this.replacement_options_div.removeClass("show")};this.undoIntermediateChanges=function(){if(this.replacement_options_div.hasClass("show")){if(this.replacement_options_div.data("current_option")!=null){this.replacement_container_div.find("div.styled_select_option_display").html(this.replacement_options_div.data("current_option").html());this.current_value=this.replacement_options_div.data("current_option").attr("value")}this.replacement_options_div.find("div.option").removeClass("highlight");this.replacement_options_div.removeData("current_option");this.replacement_options_div.removeData("new_option");this.replacement_options_div.removeClass("show")}};this.simulateSelectBoxEvent=function(e){var d=b(e.target);var g=(b.ui!==undefined?b.ui.keyCode:{DOWN:40,PAGE_DOWN:34,UP:38,PAGE_UP:33,ENTER:13,TAB:9,ESCAPE:27});if(e.type=="keydown"){var f=null;var c=this.replacement_options_div.find('div.option[value="'+this.current_value+'"]');if(e.which==g.ESCAPE){this.undoIntermediateChanges()}else{if(b.inArray(e.which,[g.ENTER,g.TAB])!=-1){if(this.replacement_options_div.data("new_option")!=null){this.triggerValueChange(this.replacement_options_div.data("new_option").attr("value"))}}else{e.preventDefault();if(e.which==g.DOWN){f=c.next("div.option");if(f.length==0){f=c.next("div.optgroup").find("div.option").first()}if(f.length==0){f=c.parent("div.optgroup").next("div.optgroup").find("div.option").first()}if(f.length==0){f=c.parent("div.optgroup").next("div.option")}}else{if(e.which==g.PAGE_DOWN){f=this.replacement_options_div.find("div.option").last()}else{if(e.which==g.UP){f=c.prev("div.option");if(f.length==0){f=c.prev("div.optgroup").find("div.option").last()}if(f.length==0){f=c.parent("div.optgroup").prev("div.optgroup").find("div.option").last()}if(f.length==0){f=c.parent("div.optgroup").prev("div.option")}}else{if(e.which==g.PAGE_UP){f=this.replacement_options_div.find("div.option").first()}else{}}}}this.triggerIntermediaryChange(c,f)}}}else{if(e.type=="focusout"){if(!this.replacement_options_div.is(":hover")){if(this.replacement_options_div.hasClass("show")){if(this.replacement_options_div.data("new_option")!=null){this.triggerValueChange(this.replacement_options_div.data("new_option").attr("value"))}else{this.replacement_options_div.removeClass("show")}}}}else{if(e.type=="click"){if(d.closest("div.styled_select_options_container").length==0){this.replacement_options_div.toggleClass("show")}else{if(d.hasClass("option")){this.triggerValueChange(d.attr("value"))}}}}}};this.setCurrentSelectedTextAndValue=function(c){var f=this.linked_select_box.get(0);var d=this.linked_select_box.find("option");var e=d[f.selectedIndex];if(e!=null){this.replacement_container_div.find("div.styled_select_option_display").html(e.text);this.current_value=e.value}};this.resizeOptions=function(c){var e=b(window).innerHeight();var d=e/2;b("div.styled_select.styled-select-full-replacement").each(function(f,g){b(g).find("div.styled_select_options_container").css({maxHeight:d+"px"})})}}b.fn.styledSelectBox=function(d){var e={image_base:null,classes:[],widget_height:null,include_separator_border:true,z_index:null,full_replacement:false,multiline:false};var c={};if(typeof d=="string"){this.each(function(g,h){var f=b(h).data("styled_select");if(d=="resize"){f.resize()}else{if(d=="update"){f.setCurrentSelectedTextAndValue()}}b(h).data("styled_select",f)})}else{c=b.extend(e,d);if(c.image_base==null){throw'StyledSelectBox widget: no "image_base" option specified.';return this}this.each(function(g,h){var f=new a();f.initStyledSelect(b(h),c);b(h).data("styled_select",f)})}return this}})(jQuery);
\ No newline at end of file
+!function(v){var a=0,n=["option_template","group_template","selection_template","create_filter","depends_loader","storage","onOpen","onClose","onHighlight","onCancel","onBeforeChange","onCreate"],o=["widget_height","z_index"],h=null,i=null==window.getComputedStyle,s=null;function r(){this.linked_select_box=null,this.options={},this.replacement_container_div=null,this.replacement_options_div=null,this.selected_option_div=null,this.arrow_span=null,this.current_value=null,this.multiple=!1,this.anchor_index=-1,this.option_model=[],this.group_model=[],this.option_elements=null,this.highlighted_index=-1,this.virtualize=!1,this.virtual_rows_div=null,this.virtual_rows=[],this.original_tabindex=null,this.original_style=null,this.mutation_observer=null,this.enabled_tabindex=null,this.aria_id=null,this.portal_div=null,this.scroll_parents=null,this.position_handler=null,this.touch_start=null,this.last_tap=0,this.placeholder=null,this.clear_span=null,this.theme=null,this.error_div=null,this.show_validation=!1,this.parent_form=null,this.linked_labels=null,this.form_handlers=null,this.create_div=null,this.create_highlighted=!1,this.highlighted_group=-1,this.rtl=!1,this.i18n=null,this.type_ahead_buffer="",this.type_ahead_last_keypress=0,this.searchable=!1,this.search_input=null,this.no_results_div=null,this.status_div=null,this.remote_query="",this.remote_page=0,this.remote_has_more=!1,this.remote_loading=!1,this.remote_loaded=!1,this.remote_request_count=0,this.remote_search_timer=null,this.source_options=null,this.parent_select_box=null,this.dependent_options=null,this.parent_change_handler=null,this.dependent_request_count=0,this.author_disabled=!1,this.dependent_disabled=!1,this.storage=null,this.storage_key=null,this.recent_values=[],this.pinned_values=[],this.shortcuts_div=null,this.option_overrides={},this.readDataOptions=function(){var s=this.linked_select_box.get(0),l={};return"full"==s.getAttribute("data-styled-select-type")&&(l.full_replacement=!0),v.each(v.fn.styledSelectBox.defaults,function(t,e){var i;-1==v.inArray(t,n)&&null!=(i=s.getAttribute("data-styled-select-"+t.replace(/_/g,"-")))&&(l[t]=function(t,e){if("array"==e||"object"==e){if(/^\s*[\[\{]/.test(t))try{return v.parseJSON(t)}catch(i){}if("array"==e)return v.grep(v.trim(t).split(/\s+/),function(t){return""!==t})}return"null"==t?null:"boolean"!=e||"true"!=t&&"false"!=t?"number"==e&&/^-?\d+(\.\d+)?$/.test(t)?parseFloat(t):t:"true"==t}(i,-1!=v.inArray(t,o)?"number":v.type(e)))}),l},this.getText=function(t){return null!=this.options[t+"_text"]?this.options[t+"_text"]:this.i18n[t]},this.initStyledSelect=function(t,e,i){this.linked_select_box=v(t),this.option_overrides=v.extend({},i),this.options=v.extend({},e,this.readDataOptions(),this.option_overrides),this.original_tabindex=this.linked_select_box.get(0).getAttribute("tabindex"),this.original_style=this.linked_select_box.get(0).getAttribute("style");t=null;if(this.linked_select_box.attr("id")&&(t=this.linked_select_box.attr("id")+"StyledSelect"),null!=this.options.depends_on&&(this.parent_select_box=v(this.options.depends_on).filter("select").first(),0==this.parent_select_box.length))throw'StyledSelectBox widget: the "depends_on" select box was not found.';var i=1==this.options.full_replacement,s=1==this.options.multiline,l=(this.multiple=1==this.linked_select_box.prop("multiple"),this.searchable=1==this.options.searchable||1==this.options.creatable,this.virtualize=1==this.options.virtualize,this.options.mobile_mode),n=this.isTouchDevice(),l=(i&&n&&("native"==l||"auto"==l&&!this.searchable&&null==this.options.source)&&(i=!1),this.i18n=v.extend({},v.fn.styledSelectBox.defaults.i18n,e.i18n,this.options.i18n),this.placeholder=(null!=this.options.placeholder?this.options:this.i18n).placeholder,this.linked_select_box.closest("[dir]"));if(this.rtl=0<l.length&&"rtl"==String(l.attr("dir")).toLowerCase(),this.replacement_container_div=v("<div></div>").addClass("styled_select"),null!=t&&this.replacement_container_div.attr("id",t),this.rtl&&this.replacement_container_div.addClass("styled-select-rtl").attr("dir","rtl"),this.selected_option_div=v("<div></div>").addClass("styled_select_option_display"),this.arrow_span=v("<span></span>").addClass("styled_select_arrow"),null!=this.options.arrow_html?this.arrow_span.html(this.options.arrow_html):null!=this.options.image_base?this.arrow_span.html("&nbsp;").addClass("styled-select-image-arrow").css({backgroundImage:"url("+this.options.image_base+"/small-arrow.png)"}):this.arrow_span.html('<svg viewBox="0 0 7 6" width="7" height="6" aria-hidden="true" focusable="false"><path d="M0 0h7L3.5 6z"/></svg>'),this.theme=this.options.theme,null!=this.theme&&""!=this.theme&&this.replacement_container_div.addClass("styled-select-theme-"+this.theme),this.options.allow_clear&&(this.clear_span=v("<span>&times;</span>").addClass("styled_select_clear").attr({role:"button",title:this.getText("clear"),"aria-label":this.getText("clear")}),this.clear_span.on("click.styledSelect",v.proxy(function(t){t.stopPropagation(),this.clearSelection()},this))),this.options.include_separator_border&&(e=this.rtl?"right":"left",l=this.replacement_container_div.css("border-"+e+"-width")+" "+this.replacement_container_div.css("border-"+e+"-style")+" "+this.replacement_container_div.css("border-"+e+"-color"),this.arrow_span.css("border-"+e,l)),this.replacement_container_div.append(this.selected_option_div).append(this.clear_span).append(this.arrow_span),null!=this.options.z_index&&(this.replacement_container_div.css({zIndex:this.options.z_index}),this.linked_select_box.css({zIndex:this.options.z_index+1}),null!=this.clear_span)&&this.clear_span.css({zIndex:this.options.z_index+2}),0<this.options.classes.length)for(var o=0;o<this.options.classes.length;o++)this.replacement_container_div.addClass(this.options.classes[o]);i?(this.replacement_container_div.addClass("styled-select-full-replacement"),this.linked_select_box.addClass("styled-select-full-replacement"),s&&this.replacement_container_div.addClass("styled-select-multiline"),this.multiple&&this.replacement_container_div.addClass("styled-select-multiple"),n&&this.replacement_container_div.addClass("styled-select-touch"),null!=this.linked_select_box.attr("title")&&this.replacement_container_div.attr("title",this.linked_select_box.attr("title")),null!=this.original_tabindex?(this.replacement_container_div.attr("tabindex",this.original_tabindex),this.linked_select_box.attr("tabindex",-1)):this.replacement_container_div.attr("tabindex",0),this.enabled_tabindex=this.replacement_container_div.attr("tabindex"),this.aria_id="styledSelect"+ ++a,this.replacement_container_div.attr({role:"combobox","aria-haspopup":"listbox","aria-expanded":"false","aria-controls":this.aria_id+"Listbox"}),this.labelReplacement(),(0<this.options.recent||this.options.pinned)&&this.loadStoredValues(),this.generateOptions()):this.replacement_container_div.attr("aria-hidden","true"),this.error_div=v("<div></div>").addClass("styled_select_error").attr("aria-live","polite").hide(),null!=this.aria_id&&(this.error_div.attr("id",this.aria_id+"Error"),this.replacement_container_div.attr("aria-describedby",this.aria_id+"Error")),this.linked_select_box.after(this.replacement_container_div),this.replacement_container_div.after(this.error_div),this.resize(),this.linked_select_box.addClass("original_select_now_styled"),this.linked_select_box.on("change.styledSelect",v.proxy(this.setCurrentSelectedTextAndValue,this)).on("keyup.styledSelect",v.proxy(this.setCurrentSelectedTextAndValue,this)).on("invalid.styledSelect",v.proxy(this.reportInvalid,this)),this.bindFormHandlers(),this.options.allow_clear&&!i&&this.linked_select_box.on("keydown.styledSelect",v.proxy(function(t){8!=t.which&&46!=t.which||(t.preventDefault(),this.clearSelection())},this)),i&&(this.replacement_container_div.add(this.portal_div).on("click.styledSelect",v.proxy(this.simulateSelectBoxEvent,this)).on("keydown.styledSelect",v.proxy(this.simulateSelectBoxEvent,this)).on("focusout.styledSelect",v.proxy(this.simulateSelectBoxEvent,this)).on("touchstart.styledSelect touchmove.styledSelect touchend.styledSelect",v.proxy(this.handleTouchEvent,this)),null==h&&(h=this.resizeOptions,v(window).on("resize.styledSelect",h)),this.resizeOptions()),this.setCurrentSelectedTextAndValue(),this.updateDisabledState(),this.observeSelectBox(),null!=this.parent_select_box&&this.bindParentSelectBox()},this.resize=function(){this.replacement_container_div.css({width:this.linked_select_box.outerWidth()+"px"});var t,e={width:parseInt(this.replacement_container_div.innerWidth()-this.arrow_span.outerWidth()-(null!=this.clear_span?this.clear_span.outerWidth():0))+"px"};null!=this.options.widget_height?(t={height:this.options.widget_height+"px"},this.linked_select_box.css({height:this.options.widget_height+"px",lineHeight:parseInt(this.options.widget_height)-2+"px"}),e.height=this.options.widget_height+"px",t.lineHeight=parseInt(this.options.widget_height)-2+"px",i&&(t.lineHeight=this.options.widget_height+"px"),this.replacement_container_div.css(t)):e.height=this.linked_select_box.height()+"px",this.selected_option_div.css(e)},this.destroy=function(){var s,t;null!=this.mutation_observer&&(this.mutation_observer.disconnect(),this.mutation_observer=null),this.remote_request_count++,clearTimeout(this.remote_search_timer),this.unbindPositionHandlers(),this.unbindFormHandlers(),null!=this.parent_select_box?(this.dependent_request_count++,this.parent_select_box.off("change.styledSelectDependent",this.parent_change_handler),t=this.linked_select_box.val(),this.linked_select_box.empty().append(this.dependent_options.clone()).val(t),this.setDependentDisabled(!1)):null!=this.source_options&&(t=(s=this.linked_select_box).find("option").filter(function(){return this.selected}),s.empty().append(this.source_options.clone()),s.find("option").prop("selected",!1),t.each(function(t,e){var i=s.find("option").filter(function(){return this.value==e.value});(i=0==i.length?v(e).appendTo(s):i).prop("selected",!0)})),this.linked_select_box.find("optgroup").removeData("styled_select_collapsed"),this.replacement_container_div.remove(),this.error_div.remove(),null!=this.portal_div&&this.portal_div.remove(),this.linked_select_box.off("change.styledSelect keyup.styledSelect keydown.styledSelect invalid.styledSelect").removeClass("original_select_now_styled styled-select-full-replacement").removeData("styled_select"),this.linked_select_box.find("option[data-styled-select-retained]").removeAttr("data-styled-select-retained"),""===this.linked_select_box.attr("class")&&this.linked_select_box.removeAttr("class"),null!=this.original_tabindex?this.linked_select_box.attr("tabindex",this.original_tabindex):this.linked_select_box.removeAttr("tabindex"),null!=this.original_style?this.linked_select_box.attr("style",this.original_style):this.linked_select_box.removeAttr("style"),null!=h&&0==v("div.styled_select.styled-select-full-replacement").length&&(v(window).off("resize.styledSelect",h),h=null)},this.labelReplacement=function(){var t=this.linked_select_box.attr("id"),e=t?v("label").filter(function(){return v(this).attr("for")==t}):v();0<e.length&&e.filter("[id]").length==e.length?this.replacement_container_div.attr("aria-labelledby",e.map(function(){return this.id}).get().join(" ")):0<e.length?this.replacement_container_div.attr("aria-label",v.trim(e.text())):null!=this.linked_select_box.attr("aria-labelledby")?this.replacement_container_div.attr("aria-labelledby",this.linked_select_box.attr("aria-labelledby")):null!=this.linked_select_box.attr("aria-label")&&this.replacement_container_div.attr("aria-label",this.linked_select_box.attr("aria-label"))},this.updateValidity=function(){var t,e,i=this.linked_select_box.get(0);null!=i.validity&&(t=i.willValidate&&i.validity.valid,e=i.willValidate&&!i.validity.valid,this.replacement_container_div.toggleClass("styled-select-valid",t).toggleClass("styled-select-invalid",e),null!=this.replacement_options_div&&this.replacement_container_div.attr("aria-invalid",e&&this.show_validation?"true":"false"),e&&this.show_validation?this.error_div.text(i.validationMessage).show():this.error_div.text("").hide())},this.reportInvalid=function(t){if(this.show_validation=!0,this.updateValidity(),null!=this.replacement_options_div){t.preventDefault();for(var e=this.linked_select_box.get(0),i=null!=e.form?e.form.elements:[e],s=0;s<i.length;s++)if(i[s].willValidate&&null!=i[s].validity&&!i[s].validity.valid)return void(i[s]==e&&this.focus())}},this.bindFormHandlers=function(){this.unbindFormHandlers(),this.form_handlers={reset:v.proxy(function(){setTimeout(v.proxy(function(){this.linked_select_box.data("styled_select")===this&&(this.show_validation=!1,null!=this.replacement_options_div&&this.replacement_options_div.hasClass("show")&&this.undoIntermediateChanges(),this.setCurrentSelectedTextAndValue())},this),0)},this),click:v.proxy(function(t){0<v(t.target).closest(this.replacement_container_div.add(this.portal_div)).length||(t.preventDefault(),this.focus())},this)};var t,e=this.linked_select_box.prop("form");this.parent_form=null!=e?v(e):v(),this.parent_form.on("reset.styledSelect",this.form_handlers.reset),this.linked_labels=v(),null!=this.replacement_options_div&&(t=this.linked_select_box.attr("id"),this.linked_labels=(t?v("label").filter(function(){return v(this).attr("for")==t}):v()).add(this.linked_select_box.closest("label")),this.linked_labels.on("click.styledSelect",this.form_handlers.click))},this.unbindFormHandlers=function(){null!=this.form_handlers&&(this.parent_form.off("reset.styledSelect",this.form_handlers.reset),this.linked_labels.off("click.styledSelect",this.form_handlers.click),this.parent_form=null,this.linked_labels=null,this.form_handlers=null)},this.isTouchDevice=function(){return null!=window.matchMedia&&(window.matchMedia("(pointer: coarse)").matches||window.matchMedia("(pointer: fine)").matches)?window.matchMedia("(pointer: coarse)").matches:"ontouchstart"in window||0<(window.navigator.maxTouchPoints||0)},this.refresh=function(){null!=this.replacement_options_div&&(this.renderOptions(),this.searchable)&&null==this.options.source&&this.filterOptions(this.search_input.val()),this.setCurrentSelectedTextAndValue(),this.updateDisabledState(),this.resize()},this.updateDisabledState=function(){var t=1==this.linked_select_box.prop("disabled");this.replacement_container_div.toggleClass("styled-select-disabled",t),null!=this.replacement_options_div&&(this.replacement_container_div.attr({tabindex:t?-1:this.enabled_tabindex,"aria-disabled":t?"true":"false"}),t)&&this.undoIntermediateChanges(),this.updateValidity()},this.setDisabled=function(t){null!=this.parent_select_box&&(this.author_disabled=1==t,t=this.author_disabled||this.dependent_disabled),this.linked_select_box.prop("disabled",1==t),this.ignoreOwnMutations(),this.updateDisabledState()},this.open=function(){null==this.replacement_options_div||this.linked_select_box.prop("disabled")||this.showOptions()},this.close=function(){null!=this.replacement_options_div&&(null!=this.replacement_options_div.data("new_option")?this.undoIntermediateChanges():this.hideOptions())},this.toggle=function(){null!=this.replacement_options_div&&this.replacement_options_div.hasClass("show")?this.close():this.open()},this.focus=function(){(null!=this.replacement_options_div?this.replacement_container_div:this.linked_select_box).focus()},this.setValue=function(t,e){null!=this.replacement_options_div&&(this.setHighlight(-1),this.replacement_options_div.removeData("current_option"),this.replacement_options_div.removeData("new_option")),this.linked_select_box.val(t),1==e?this.linked_select_box.trigger("change"):this.setCurrentSelectedTextAndValue()},this.observeSelectBox=function(){null!=window.MutationObserver&&(this.mutation_observer=new window.MutationObserver(v.proxy(function(t){this.refresh()},this)),this.mutation_observer.observe(this.linked_select_box.get(0),{childList:!0,subtree:!0,characterData:!0,attributes:!0,attributeFilter:["disabled","label","value","selected","required"]}))},this.ignoreOwnMutations=function(){null!=this.mutation_observer&&this.mutation_observer.takeRecords()},this.generateOptions=function(){this.replacement_options_div=v("<div></div>").addClass("styled_select_options_container").attr({id:this.aria_id+"Listbox",role:"listbox"}),this.multiple&&this.replacement_options_div.attr("aria-multiselectable","true"),this.searchable&&(this.search_input=v('<input type="text" autocomplete="off" />').addClass("styled_select_search_input").attr({"aria-autocomplete":"list","aria-controls":this.aria_id+"Listbox","aria-label":this.getText("search")}),this.no_results_div=v("<div></div>").addClass("styled_select_no_results").attr("role","status").text(this.getText("no_results")),this.replacement_options_div.prepend(v("<div></div>").addClass("styled_select_search").attr("role","presentation").append(this.search_input)).append(this.no_results_div),this.options.creatable&&(this.create_div=v("<div></div>").addClass("styled_select_create").attr({id:this.aria_id+"Create",role:"option"}),this.replacement_options_div.append(this.create_div).on("mousemove.styledSelect","div.styled_select_create",v.proxy(function(t){this.create_highlighted||this.highlightCreateRow()},this))),this.search_input.on("input.styledSelect keyup.styledSelect",v.proxy(function(t){this.search_input.val()!=this.search_input.data("last_search")&&(this.search_input.data("last_search",this.search_input.val()),null!=this.options.source?(clearTimeout(this.remote_search_timer),this.remote_search_timer=setTimeout(v.proxy(function(){this.loadRemoteOptions(v.trim(this.search_input.val()),1)},this),this.options.source_delay)):this.filterOptions(this.search_input.val()))},this))),(0<this.options.recent||this.options.pinned)&&(this.shortcuts_div=v("<div></div>").addClass("styled_select_shortcuts").attr("aria-hidden","true"),this.searchable?this.search_input.parent().after(this.shortcuts_div):this.replacement_options_div.prepend(this.shortcuts_div)),this.replacement_options_div.on("mousemove.styledSelect","div.option",v.proxy(function(t){t=this.getOptionIndex(v(t.currentTarget));-1==t||t==this.highlighted_index||this.option_model[t].disabled||this.option_model[t].filtered||this.setHighlight(t,!0)},this)),this.options.collapsible_groups&&(this.replacement_container_div.addClass("styled-select-collapsible-groups"),this.replacement_options_div.on("mousemove.styledSelect","div.optgroup_label",v.proxy(function(t){t=parseInt(v(t.currentTarget).attr("data-group-index"),10);t!=this.highlighted_group&&this.highlightGroup(t)},this))),this.virtualize&&(this.replacement_container_div.addClass("styled-select-virtualized"),this.replacement_options_div.on("scroll.styledSelect",v.proxy(function(t){this.renderVirtualRows()},this))),null!=this.options.source&&(this.source_options=this.linked_select_box.children().clone(),this.status_div=v("<div></div>").addClass("styled_select_status").attr("role","status"),this.replacement_options_div.append(this.status_div).on("scroll.styledSelect",v.proxy(this.loadMoreRemoteOptions,this))),null!=this.options.append_to?this.portal_div=v("<div></div>").attr("class",this.replacement_container_div.attr("class")).addClass("styled-select-portal").attr("dir",this.rtl?"rtl":"ltr").append(this.replacement_options_div).appendTo(v(this.options.append_to).first()):this.replacement_container_div.append(this.replacement_options_div),this.renderOptions()},this.renderOptions=function(){var t=this.option_model[this.highlighted_index];if(this.buildOptionModel(),null!=this.shortcuts_div&&this.pruneStoredValues(),this.replacement_options_div.children("div.option, div.optgroup, div.styled_select_virtual_rows").remove(),this.virtualize)this.virtual_rows_div=v("<div></div>").addClass("styled_select_virtual_rows").attr("role","presentation"),e=this.virtual_rows_div;else for(var e,i=(i=this.linked_select_box.html()).replace(/\<option/gi,'<div class="option"').replace(/\<\/option/gi,"</div").replace(/\<optgroup/gi,'<div class="optgroup"').replace(/\<\/optgroup/gi,"</div"),s=(e=v("<div></div>").html(i).children()).filter("div.optgroup"),l=0;l<this.group_model.length;l++){var n=v("<div></div>").html(this.getGroupHtml(l)).addClass("optgroup_label").attr({id:this.aria_id+"Group"+l,"data-group-index":l});s.eq(l).toggleClass("disabled",this.group_model[l].disabled).attr({role:"group","aria-labelledby":this.aria_id+"Group"+l}).prepend(n)}var i=this.replacement_options_div.children("div.styled_select_no_results, div.styled_select_create, div.styled_select_status").first();if(0<i.length?i.before(e):this.replacement_options_div.append(e),this.virtualize)this.option_elements=null,this.refreshVirtualRows();else{this.option_elements=this.replacement_options_div.find("div.option");for(var o=0;o<this.option_model.length;o++)null!=this.options.option_template&&this.option_elements.eq(o).html(this.getOptionHtml(o)),this.option_elements.eq(o).toggleClass("disabled",this.option_model[o].disabled).attr({id:this.aria_id+"Option"+o,role:"option","aria-disabled":this.option_model[o].disabled?"true":"false"}),this.options.pinned&&this.updatePinControl(o);this.option_elements.filter("[data-styled-select-retained]").addClass("styled-select-filtered-out"),this.updateCollapsedGroups()}this.highlighted_index=-1,null!=t&&(i=this.findOptionIndex(t.value),this.setHighlight(i),null!=this.replacement_options_div.data("new_option"))&&-1!=i&&this.replacement_options_div.data("new_option",this.getOptionElement(i)),this.renderShortcuts(),this.markSelectedOptions()},this.buildOptionModel=function(){for(var i=[],s=[],t=function(t,e){i.push({index:i.length,value:t.value,text:t.text,element:t,group_index:e,disabled:t.disabled||-1!=e&&s[e].disabled,retained:null!=t.getAttribute("data-styled-select-retained"),filtered:null!=t.getAttribute("data-styled-select-retained"),match_html:null})},e=1==this.options.collapsible_groups,l=this.linked_select_box.get(0).children,n=0;n<l.length;n++)if("optgroup"==l[n].nodeName.toLowerCase()){var o=s.length,a=v(l[n]).data("styled_select_collapsed");null==a&&(a="true"==l[n].getAttribute("data-styled-select-collapsed")),s.push({label:l[n].label,element:l[n],disabled:l[n].disabled,collapsed:e&&a});for(var h=0;h<l[n].children.length;h++)t(l[n].children[h],o)}else"option"==l[n].nodeName.toLowerCase()&&t(l[n],-1);this.option_model=i,this.group_model=s},this.findOptionIndex=function(t){if(null!=t)for(var e=0;e<this.option_model.length;e++)if(this.option_model[e].value==t)return e;return-1},this.getOptionElement=function(t){var e;return null==t||null==this.option_model[t]?v():this.virtualize?0<(e=this.virtual_rows_div.children('div.option[data-index="'+t+'"]')).length?e:v(this.getVirtualRowHtml({option:t})):this.option_elements.eq(t)},this.getOptionIndex=function(t){return null==t||0==t.length?-1:this.virtualize?null!=t.attr("data-index")?parseInt(t.attr("data-index"),10):-1:this.option_elements.index(t)},this.setHighlight=function(t,e){this.highlighted_index=t,null!=this.create_div&&(this.create_highlighted=!1,this.create_div.removeClass("highlight")),-1!=this.highlighted_group&&(this.highlighted_group=-1,this.replacement_options_div.find("div.optgroup_label.highlight").removeClass("highlight")),-1!=t&&!0!==e&&this.scrollToOption(t),this.virtualize?(this.virtual_rows_div.children("div.option.highlight").removeClass("highlight"),-1!=t&&this.getOptionElement(t).addClass("highlight")):(this.option_elements.filter(".highlight").removeClass("highlight"),-1!=t&&this.option_elements.eq(t).addClass("highlight"));e=-1!=t?this.aria_id+"Option"+t:null;this.replacement_container_div.attr("aria-activedescendant",e),this.searchable&&this.search_input.attr("aria-activedescendant",e)},this.escapeHtml=function(t){return String(t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")},this.renderTemplate=function(t,e,i){return null==t?this.escapeHtml(i):null==(i=t.call(this.linked_select_box.get(0),e))?"":"string"==typeof i?i:v("<div></div>").append(i).html()},this.getOptionHtml=function(t){t=this.option_model[t];return this.renderTemplate(this.options.option_template,t.element,t.text)},this.getGroupHtml=function(t){t=this.group_model[t];return this.renderTemplate(this.options.group_template,t.element,t.label)},this.getSelectionHtml=function(t){return null==t?"":this.renderTemplate(this.options.selection_template,t,t.text)},this.displaySelection=function(t){var e=null==t||""===t.value,i=e&&null!=this.placeholder;i?this.selected_option_div.text(this.placeholder):this.selected_option_div.html(this.getSelectionHtml(t)),this.replacement_container_div.toggleClass("styled-select-empty",e).toggleClass("styled-select-placeholder",i)},this.clearSelection=function(){this.linked_select_box.prop("disabled")||(null==this.replacement_options_div?this.linked_select_box.val(this.multiple?[]:"").trigger("change"):this.triggerValueChange(this.multiple?[]:""))},this.refreshVirtualRows=function(){for(var t=[],e=-1,i=0;i<this.option_model.length;i++){var s=this.option_model[i];s.filtered||(-1!=s.group_index&&s.group_index!=e&&t.push({group:s.group_index}),this.isGroupCollapsed(e=s.group_index))||t.push({option:i})}this.virtual_rows=t,this.renderVirtualRows()},this.getVirtualRowHtml=function(t){var e;return null!=t.group?(e="optgroup_label",this.group_model[t.group].disabled&&(e+=" disabled"),this.isGroupCollapsed(t.group)&&(e+=" styled-select-collapsed"),t.group==this.highlighted_group&&(e+=" highlight"),t.sticky&&(e+=" styled-select-sticky"),'<div class="'+e+'" id="'+this.aria_id+"Group"+t.group+'" data-group-index="'+t.group+'" role="presentation"'+(this.options.collapsible_groups?' aria-expanded="'+(this.isGroupCollapsed(t.group)?"false":"true")+'"':"")+">"+this.getGroupHtml(t.group)+"</div>"):(e="option",(t=this.option_model[t.option]).element.selected&&(e+=" selected"),t.disabled&&(e+=" disabled"),t.index==this.highlighted_index&&(e+=" highlight"),this.options.pinned&&this.isPinned(t.index)&&(e+=" styled-select-pinned"),'<div class="'+e+'" value="'+this.escapeHtml(t.value)+'" data-index="'+t.index+'" id="'+this.aria_id+"Option"+t.index+'" role="option" aria-selected="'+(t.element.selected?"true":"false")+'" aria-disabled="'+(t.disabled?"true":"false")+'" aria-setsize="'+this.option_model.length+'" aria-posinset="'+(t.index+1)+'">'+this.getPinHtml(t.index)+(null!=t.match_html?t.match_html:this.getOptionHtml(t.index))+"</div>")},this.renderVirtualRows=function(t){if(this.virtualize&&null!=this.virtual_rows_div){var e=this.options.virtual_row_height,i=this.replacement_options_div.get(0),s=i.clientHeight||parseInt(this.replacement_options_div.css("maxHeight"),10)||300,s=Math.ceil(s/e),i=(null==t&&(t=Math.floor(Math.max(i.scrollTop-this.virtual_rows_div.get(0).offsetTop,0)/e)),Math.max(t-this.options.virtual_buffer,0)),l=Math.min(t+s+this.options.virtual_buffer,this.virtual_rows.length),n=[],t=i,s=this.option_model[i<l?this.virtual_rows[i].option:-1];0<i&&null!=s&&-1!=s.group_index&&(n.push(this.getVirtualRowHtml({group:s.group_index,sticky:!0})),t--);for(var o=i;o<l;o++)n.push(this.getVirtualRowHtml(this.virtual_rows[o]));this.virtual_rows_div.html(n.join("")).css({paddingTop:t*e+"px",paddingBottom:Math.max(this.virtual_rows.length-l,0)*e+"px"})}},this.scrollToOption=function(t){if(null!=t&&-1!=t){var e,i,s=this.replacement_options_div.get(0);if(this.virtualize){for(var l=-1,n=0;n<this.virtual_rows.length;n++)if(this.virtual_rows[n].option==t){l=n;break}if(-1==l)return;if(0==s.clientHeight)return void this.renderVirtualRows(l);i=this.options.virtual_row_height,e=this.virtual_rows_div.get(0).offsetTop+l*i}else{var o=this.option_elements.eq(t);if(0==o.length||0==s.clientHeight)return;i=o.outerHeight(),e=o.offset().top-this.replacement_options_div.offset().top-s.clientTop+s.scrollTop}o=this.searchable?this.search_input.parent().outerHeight():0;-1!=this.option_model[t].group_index&&(o+=this.virtualize?this.options.virtual_row_height:this.replacement_options_div.find("div.optgroup_label").first().outerHeight()),e-o<s.scrollTop?s.scrollTop=e-o:e+i>s.scrollTop+s.clientHeight&&(s.scrollTop=e+i-s.clientHeight),this.virtualize&&this.renderVirtualRows()}},this.loadRemoteOptions=function(i,s){var t={query:i,page:s,page_size:this.options.source_page_size},t="function"==typeof this.options.source?this.options.source.call(this.linked_select_box.get(0),t):v.ajax({url:this.options.source,dataType:"json",data:{q:i,page:s,page_size:this.options.source_page_size}}),l=(null!=t&&"function"==typeof t.then||(t=v.Deferred().resolve(t).promise()),++this.remote_request_count);this.remote_loading=!0,this.status_div.removeClass("styled-select-error").addClass("styled-select-loading show").text(this.getText("loading")),t.then(v.proxy(function(t){var e;l==this.remote_request_count&&(e=v.isArray(t)?t:null!=t&&null!=t.items?t.items:[],this.remote_loading=!1,this.remote_loaded=!0,this.remote_query=i,this.remote_page=s,this.remote_has_more=null!=t&&null!=t.more?1==t.more:e.length>=this.options.source_page_size,this.status_div.removeClass("styled-select-loading show").empty(),this.addRemoteOptions(e,1==s))},this),v.proxy(function(){l==this.remote_request_count&&(this.remote_loading=!1,this.status_div.removeClass("styled-select-loading").addClass("styled-select-error show").text(this.getText("load_error")))},this))},this.addRemoteOptions=function(t,e){var i=this.linked_select_box;e&&(i.find("option").each(function(t,e){e.selected?v(e).attr("data-styled-select-retained","true"):v(e).remove()}),i.find("optgroup").each(function(t,e){0==v(e).children("option").length&&v(e).remove()})),this.appendOptionItems(t),this.ignoreOwnMutations(),this.renderOptions(),this.searchable&&this.filterOptions(this.search_input.val())},this.appendOptionItems=function(t){var l=this.linked_select_box;v.each(t,function(t,e){var i,s=l.find("option").filter(function(){return this.value==String(e.value)});0<s.length?s.removeAttr("data-styled-select-retained"):(s=v("<option></option>").val(e.value).text(e.text),i=l,(i=null!=e.group&&""!==e.group&&0==(i=l.children("optgroup").filter(function(){return v(this).attr("label")==e.group}).first()).length?v("<optgroup></optgroup>").attr("label",e.group).appendTo(l):i).append(s))})},this.loadMoreRemoteOptions=function(t){var e;this.remote_has_more&&!this.remote_loading&&(e=this.replacement_options_div.get(0)).scrollTop+e.clientHeight>=e.scrollHeight-this.options.source_scroll_threshold&&this.loadRemoteOptions(this.remote_query,this.remote_page+1)},this.bindParentSelectBox=function(){this.dependent_options=this.linked_select_box.children().clone(),this.author_disabled=1==this.linked_select_box.prop("disabled"),this.parent_change_handler=v.proxy(function(){this.updateDependentOptions(!0)},this),this.parent_select_box.on("change.styledSelectDependent",this.parent_change_handler),this.updateDependentOptions(!1)},this.updateDependentOptions=function(t){var e=this.parent_select_box.val(),i=v.grep([].concat(null==e?[]:e),function(t){return""!==t}),s=t?null:this.linked_select_box.val(),l=++this.dependent_request_count;null==this.options.depends_loader||0==i.length?this.rebuildDependentOptions(i,[],s):(null!=(t=this.options.depends_loader.call(this.linked_select_box.get(0),e))&&"function"==typeof t.then||(t=v.Deferred().resolve(t).promise()),this.setDependentDisabled(!0),t.then(v.proxy(function(t){l==this.dependent_request_count&&(t=v.isArray(t)?t:null!=t&&null!=t.items?t.items:[],this.rebuildDependentOptions(i,t,s))},this),v.proxy(function(){l==this.dependent_request_count&&this.rebuildDependentOptions(i,[],s)},this)))},this.rebuildDependentOptions=function(e,t,i){var s=this.linked_select_box,l=s.val(),n=function(t){t=t.attr("data-parent-value");return null==t||-1!=v.inArray(t,e)};s.empty(),this.dependent_options.each(function(t,e){e=v(e).clone();n(e)&&(e.find("option").filter(function(){return!n(v(this))}).remove(),e.is("optgroup")&&0==e.children("option").length||s.append(e))}),this.appendOptionItems(t),this.multiple?s.val(null==i?[]:i):(t=0==(t=0==(t=s.find("option").filter(function(){return null!=i&&this.value==i})).length?s.find("option").filter(function(){return""==this.value}):t).length?s.find("option"):t).first().prop("selected",!0),this.ignoreOwnMutations(),this.setDependentDisabled(0==e.length),this.refresh(),String(l)!=String(s.val())&&s.trigger("change")},this.setDependentDisabled=function(t){this.dependent_disabled||(this.author_disabled=1==this.linked_select_box.prop("disabled")),this.dependent_disabled=1==t,this.setDisabled(this.author_disabled)},this.loadStoredValues=function(){if(this.storage=null!=this.options.storage?this.options.storage:function(){if(null==s)try{window.localStorage.setItem("styledSelectTest","1"),window.localStorage.removeItem("styledSelectTest"),s=window.localStorage}catch(t){var i={};s={getItem:function(t){return i.hasOwnProperty(t)?i[t]:null},setItem:function(t,e){i[t]=String(e)}}}return s}(),this.storage_key=this.options.storage_key,null==this.storage_key&&this.linked_select_box.attr("id")&&(this.storage_key="styledSelect."+this.linked_select_box.attr("id")),null!=this.storage_key){var t=null;try{t=v.parseJSON(this.storage.getItem(this.storage_key))}catch(e){}null!=t&&(this.recent_values=v.map(v.isArray(t.recent)?t.recent:[],String),this.pinned_values=v.map(v.isArray(t.pinned)?t.pinned:[],String))}},this.saveStoredValues=function(){if(null!=this.storage_key)try{this.storage.setItem(this.storage_key,JSON.stringify({recent:this.recent_values,pinned:this.pinned_values}))}catch(t){}},this.pruneStoredValues=function(){var t,e;null==this.options.source&&(e=v.proxy(function(t){return-1!=this.findOptionIndex(t)},this),t=v.grep(this.recent_values,e),e=v.grep(this.pinned_values,e),t.length!=this.recent_values.length||e.length!=this.pinned_values.length)&&(this.recent_values=t,this.pinned_values=e,this.saveStoredValues())},this.rememberRecentValues=function(t){var i;0<this.options.recent&&(i=this.recent_values,v.each(t,function(t,e){""!==(e=String(e))&&(i=v.grep(i,function(t){return t!=e})).unshift(e)}),this.recent_values=i.slice(0,this.options.recent),this.saveStoredValues(),this.renderShortcuts())},this.isFixedPin=function(t){t=this.option_model[t].element.getAttribute("data-styled-select-pinned");return null!=t&&"false"!=t},this.isPinned=function(t){return this.isFixedPin(t)||-1!=v.inArray(this.option_model[t].value,this.pinned_values)},this.togglePinned=function(t){var e;this.options.pinned&&null!=this.option_model[t]&&!this.isFixedPin(t)&&(e=this.option_model[t].value,-1!=v.inArray(e,this.pinned_values)?this.pinned_values=v.grep(this.pinned_values,function(t){return t!=e}):this.pinned_values.push(e),this.saveStoredValues(),this.virtualize?this.renderVirtualRows():this.updatePinControl(t),this.renderShortcuts())},this.getPinHtml=function(t){return!this.options.pinned||""===this.option_model[t].value||this.option_model[t].disabled||this.isFixedPin(t)?"":'<span class="styled_select_pin" role="button" title="'+(t=this.escapeHtml(this.getText(this.isPinned(t)?"unpin":"pin")))+'" aria-label="'+t+'"></span>'},this.updatePinControl=function(t){var e=this.option_elements.eq(t);e.children("span.styled_select_pin").remove(),e.prepend(this.getPinHtml(t)).toggleClass("styled-select-pinned",this.isPinned(t))},this.renderShortcuts=function(){if(null!=this.shortcuts_div){var t=[],e=[];if(!this.searchable||""==v.trim(this.search_input.val())){for(var i=0;i<this.option_model.length&&this.options.pinned;i++)this.isFixedPin(i)&&t.push(i);for(var s=0;s<this.pinned_values.length&&this.options.pinned;s++){var l=this.findOptionIndex(this.pinned_values[s]);-1!=l&&-1==v.inArray(l,t)&&t.push(l)}for(var n=0;n<this.recent_values.length&&0<this.options.recent;n++){var o=this.findOptionIndex(this.recent_values[n]);-1!=o&&-1==v.inArray(o,t)&&e.push(o)}}var a=this,h=function(t,e){var s="";return v.each(e,function(t,e){var i=a.option_model[e];i.disabled||(s+='<div class="styled_select_shortcut'+(i.element.selected?" selected":"")+'" data-index="'+e+'">'+a.getOptionHtml(e)+"</div>")}),""==s?"":'<div class="styled_select_section styled_select_section_'+t+'"><div class="styled_select_section_label">'+a.escapeHtml(a.getText(t))+"</div>"+s+"</div>"},h=h("pinned",t)+h("recent",e);this.shortcuts_div.html(h).toggleClass("show",""!=h)}},this.filterOptions=function(t){for(var e=this.normalizeText(v.trim(t)),i=null!=this.options.source,s=0;s<this.option_model.length;s++){var l=this.option_model[s];if(!l.retained){if(l.match_html=null,l.filtered=!1,""!=e){for(var n=l.text,o="",a=[],h=0;h<n.length;h++)for(var r=this.normalizeText(n.charAt(h)),d=0;d<r.length;d++)o+=r.charAt(d),a.push(h);a.push(n.length);var p,c=o.indexOf(e);-1==c?l.filtered=!i:null==this.options.option_template&&(p=a[c+e.length],l.match_html=this.escapeHtml(n.substring(0,c=a[c]))+'<span class="styled_select_match">'+this.escapeHtml(n.substring(c,p))+"</span>"+this.escapeHtml(n.substring(p)))}this.virtualize||(null==(c=this.option_elements.eq(s)).data("original_html")&&c.data("original_html",c.html()),c.html(null!=l.match_html?l.match_html:c.data("original_html")).toggleClass("styled-select-filtered-out",l.filtered),this.options.pinned&&this.updatePinControl(s))}}this.virtualize?this.refreshVirtualRows():(this.updateCollapsedGroups(),this.replacement_options_div.find("div.optgroup").each(function(t,e){(e=v(e)).toggleClass("styled-select-filtered-out",0==e.find("div.option").not(".styled-select-filtered-out").length)})),this.renderShortcuts();var _=this.getNavigableIndexes(),t=this.updateCreateRow(t);this.no_results_div.toggleClass("show",0==_.length&&!t),t&&0==_.length?this.highlightCreateRow():""!=e&&0<_.length&&(t=this.getOptionElement(_[0]),this.multiple?this.highlightOption(t):this.triggerIntermediaryChange(this.getOptionElement(this.findOptionIndex(this.current_value)),t))},this.getNavigableIndexes=function(){for(var t=[],e=0;e<this.option_model.length;e++)this.option_model[e].filtered||this.option_model[e].disabled||this.isGroupCollapsed(this.option_model[e].group_index)||t.push(e);return t},this.getPageSize=function(){var t=this.replacement_options_div.get(0).clientHeight,e=this.virtualize?this.options.virtual_row_height:this.option_elements.not(".styled-select-filtered-out").first().outerHeight();return t&&e?Math.max(Math.floor(t/e)-1,1):10},this.commitHighlightedOption=function(){var t=-1!=this.highlighted_index?this.getOptionElement(this.highlighted_index):this.replacement_options_div.data("new_option");!this.multiple&&null!=t&&0<t.length&&!this.isOptionFilteredOut(t)?this.triggerValueChange(t.attr("value")):this.undoIntermediateChanges()},this.isOptionFilteredOut=function(t){t=this.getOptionIndex(t);return-1!=t&&this.option_model[t].filtered},this.updateCreateRow=function(t){if(null==this.create_div)return!1;for(var e=v.trim(t),i=this.normalizeText(e),s=""!=e,l=0;s&&l<this.option_model.length;l++)this.normalizeText(this.option_model[l].text)==i&&(s=!1);return this.create_div.text(this.getText("create").replace("%s",function(){return e})).toggleClass("show",s),!s&&this.create_highlighted&&this.setHighlight(-1),s},this.highlightCreateRow=function(){this.setHighlight(-1),this.multiple||null==this.replacement_options_div.data("new_option")||(this.replacement_options_div.removeData("new_option"),this.setCurrentSelectedTextAndValue()),this.create_highlighted=!0,this.create_div.addClass("highlight"),this.replacement_container_div.attr("aria-activedescendant",this.aria_id+"Create"),this.search_input.attr("aria-activedescendant",this.aria_id+"Create")},this.createOption=function(t){t={value:v.trim(t),text:v.trim(t)};if(null!=this.options.create_filter){var e=this.options.create_filter.call(this.linked_select_box.get(0),t.text);if(null==e||!1===e||""===e)return;t="object"==typeof e?{value:String(null!=e.value?e.value:e.text),text:String(null!=e.text?e.text:e.value)}:{value:String(e),text:String(e)}}""!=t.value&&(-1==this.findOptionIndex(t.value)&&(e=v("<option></option>").val(t.value).text(t.text).appendTo(this.linked_select_box),this.ignoreOwnMutations(),this.renderOptions(),this.triggerEvent("create",{value:t.value,text:t.text,option:e.get(0)})),this.search_input.val("").data("last_search",""),this.filterOptions(""),this.multiple?(e=this.linked_select_box.val()||[],-1==v.inArray(t.value,e)&&this.triggerValueChange(e.concat([t.value])),this.highlightOption(this.getOptionElement(this.findOptionIndex(t.value)))):this.triggerValueChange(t.value))},this.isGroupCollapsed=function(t){return!(-1==t||null==this.group_model[t]||!this.group_model[t].collapsed||this.searchable&&""!=v.trim(this.search_input.val()))},this.updateCollapsedGroups=function(){if(this.options.collapsible_groups)if(this.virtualize)this.refreshVirtualRows();else for(var t=this.replacement_options_div.find("div.optgroup"),e=0;e<this.group_model.length;e++){var i=this.isGroupCollapsed(e);t.eq(e).toggleClass("styled-select-collapsed",i).children("div.optgroup_label").toggleClass("styled-select-collapsed",i).attr("aria-expanded",i?"false":"true")}},this.highlightGroup=function(t){this.setHighlight(-1),this.multiple||null==this.replacement_options_div.data("new_option")||(this.replacement_options_div.removeData("new_option"),this.setCurrentSelectedTextAndValue()),this.highlighted_group=t,this.replacement_options_div.find('div.optgroup_label[data-group-index="'+t+'"]').addClass("highlight"),this.replacement_container_div.attr("aria-activedescendant",this.aria_id+"Group"+t),this.searchable&&this.search_input.attr("aria-activedescendant",this.aria_id+"Group"+t)},this.toggleGroup=function(t){var e=this.group_model[t];null!=e&&this.options.collapsible_groups&&(e.collapsed=!e.collapsed,v(e.element).data("styled_select_collapsed",e.collapsed),e.collapsed&&-1!=this.highlighted_index&&this.option_model[this.highlighted_index].group_index==t&&this.highlightGroup(t),this.updateCollapsedGroups(),-1!=this.highlighted_group)&&this.replacement_options_div.find('div.optgroup_label[data-group-index="'+this.highlighted_group+'"]').addClass("highlight")},this.getNavigableStops=function(){for(var t=this.getNavigableIndexes(),e={},i=0;i<t.length;i++)e[t[i]]=!0;for(var s=[],l=-1,n=0;n<this.option_model.length;n++){var o=this.option_model[n];o.filtered||(-1!=o.group_index&&o.group_index!=l&&s.push({group:o.group_index}),l=o.group_index,!0===e[n]&&s.push({option:n}))}return s},this.showOptions=function(){var t;this.replacement_options_div.hasClass("show")||(this.replacement_options_div.addClass("show"),this.replacement_container_div.attr("aria-expanded","true"),this.searchable&&(this.search_input.val("").data("last_search",""),this.filterOptions(""),this.search_input.focus(),null!=(t=this.replacement_options_div.get(0).style).setProperty)&&t.setProperty("--styled-select-sticky-top",this.search_input.parent().outerHeight()+"px"),this.positionOptions(),this.bindPositionHandlers(),this.triggerEvent("open",{}),this.virtualize&&this.renderVirtualRows(),t=-1!=this.highlighted_index?this.highlighted_index:this.findOptionIndex(this.multiple?null:this.current_value),this.multiple||-1!=this.highlighted_index||-1==t||this.option_model[t].filtered||this.isGroupCollapsed(this.option_model[t].group_index)||this.setHighlight(t),this.scrollToOption(t),null==this.options.source)||this.remote_loaded&&""==this.remote_query||this.loadRemoteOptions("",1)},this.hideOptions=function(){var t=this.replacement_options_div.hasClass("show");this.replacement_options_div.removeClass("show"),this.unbindPositionHandlers(),this.replacement_container_div.removeClass("styled-select-open-above").attr("aria-expanded","false"),this.searchable&&this.search_input.is(":focus")&&this.replacement_container_div.focus(),this.searchable&&""!=this.search_input.val()&&(clearTimeout(this.remote_search_timer),this.search_input.val("").data("last_search",""),this.filterOptions("")),t&&this.triggerEvent("close",{})},this.positionOptions=function(){var t,e,i,s,l;null!=this.replacement_options_div&&this.replacement_options_div.hasClass("show")&&(i=(t=this.replacement_container_div.get(0)).getBoundingClientRect(),l=(s=v(window).height())-i.bottom-4,i=i.top-4,this.replacement_options_div.css({maxHeight:"none"}),e=l<this.replacement_options_div.outerHeight()&&l<i,this.replacement_container_div.toggleClass("styled-select-open-above",e),this.replacement_options_div.css({maxHeight:Math.max(Math.min(e?i:l,s/2),0)+"px"}),null!=this.portal_div)&&(i=this.replacement_container_div.offset(),l={top:0,left:0},(s=this.portal_div.offsetParent()).is("html, body")||((l=s.offset()).top+=s.get(0).clientTop-s.scrollTop(),l.left+=s.get(0).clientLeft-s.scrollLeft()),this.portal_div.attr("class",this.replacement_container_div.attr("class")).addClass("styled-select-portal").css({top:i.top-l.top+t.clientTop+(e?0:this.replacement_container_div.innerHeight())+"px",left:i.left-l.left+t.clientLeft+"px",width:this.replacement_container_div.innerWidth()+"px"}))},this.bindPositionHandlers=function(){this.unbindPositionHandlers(),this.position_handler=v.proxy(this.positionOptions,this),this.scroll_parents=this.replacement_container_div.parents().filter(function(){var t=v(this);return/(auto|scroll)/.test(t.css("overflow")+t.css("overflow-y")+t.css("overflow-x"))}),this.scroll_parents.on("scroll.styledSelect",this.position_handler),v(window).on("scroll.styledSelect resize.styledSelect",this.position_handler)},this.unbindPositionHandlers=function(){null!=this.position_handler&&(this.scroll_parents.off("scroll.styledSelect",this.position_handler),v(window).off("scroll.styledSelect resize.styledSelect",this.position_handler),this.scroll_parents=null,this.position_handler=null)},this.markSelectedOptions=function(){var s,i;null!=this.replacement_options_div&&(s=this.option_model,null!=this.shortcuts_div&&this.shortcuts_div.find("div.styled_select_shortcut").each(function(t,e){var i=s[parseInt(v(e).attr("data-index"),10)];v(e).toggleClass("selected",null!=i&&i.element.selected)}),this.virtualize?this.virtual_rows_div.children("div.option").each(function(t,e){var i=s[parseInt(v(e).attr("data-index"),10)];v(e).toggleClass("selected",null!=i&&i.element.selected).attr("aria-selected",null!=i&&i.element.selected?"true":"false")}):(i=this.option_elements,this.linked_select_box.find("option").each(function(t,e){i.eq(t).toggleClass("selected",e.selected).attr("aria-selected",e.selected?"true":"false")})))},this.toggleMultipleSelection=function(t,e){var i=this.linked_select_box.find("option"),t=this.getOptionIndex(t);if(-1!=t&&!this.option_model[t].disabled){var s=[];if(i.each(function(t,e){s.push(e.selected)}),e.shiftKey&&-1!=this.anchor_index&&this.anchor_index<s.length)for(var l=Math.min(this.anchor_index,t),n=Math.max(this.anchor_index,t),o=e.ctrlKey||e.metaKey,a=0;a<s.length;a++)this.option_model[a].disabled||(s[a]=l<=a&&a<=n||o&&s[a]);else s[t]=!s[t],this.anchor_index=t;var h=[];i.each(function(t,e){s[t]&&h.push(e.value)}),this.triggerValueChange(h)}},this.highlightOption=function(t){null!=t&&0<t.length&&(this.showOptions(),this.setHighlight(this.getOptionIndex(t)),this.triggerEvent("highlight",{value:t.attr("value"),option:this.option_model[this.highlighted_index].element}))},this.getMultipleSummary=function(t){return"count"==this.options.multiple_summary&&1<t.length?this.getText("multiple_summary").replace("%d",t.length):t.join(", ")},this.triggerEvent=function(t,e){var i=v.Event(t),t=(this.linked_select_box.trigger(i,[e]),this.options[{open:"onOpen",close:"onClose",highlight:"onHighlight",cancel:"onCancel",beforechange:"onBeforeChange",create:"onCreate"}[t]]);return null!=t&&!1===t.call(this.linked_select_box.get(0),i,e)&&i.preventDefault(),!i.isDefaultPrevented()},this.triggerIntermediaryChange=function(t,e){null!=e&&0<e.length&&(null==this.replacement_options_div.data("current_option")&&this.replacement_options_div.data("current_option",t),this.replacement_options_div.data("new_option",e),this.replacement_options_div.hasClass("show")&&this.setHighlight(this.getOptionIndex(e)),t=this.option_model[this.getOptionIndex(e)],this.displaySelection(null!=t?t.element:null),this.current_value=e.attr("value"),this.triggerEvent("highlight",{value:this.current_value,option:null!=t?t.element:null}))},this.triggerValueChange=function(t){var e;this.multiple||String(t)!=this.linked_select_box.val()?this.triggerEvent("beforechange",{old_value:this.linked_select_box.val(),new_value:t})?(e=[].concat(null==this.linked_select_box.val()?[]:this.linked_select_box.val()),this.linked_select_box.val(t).trigger("change"),this.rememberRecentValues(v.grep([].concat(null==t?[]:t),function(t){return-1==v.inArray(String(t),e)})),this.multiple||(this.setHighlight(-1),this.replacement_options_div.removeData("current_option"),this.replacement_options_div.removeData("new_option"),this.hideOptions())):this.multiple||(this.setHighlight(-1),this.replacement_options_div.removeData("current_option"),this.replacement_options_div.removeData("new_option"),this.hideOptions(),this.setCurrentSelectedTextAndValue()):(this.setHighlight(-1),this.replacement_options_div.removeData("current_option"),this.replacement_options_div.removeData("new_option"),this.hideOptions())},this.undoIntermediateChanges=function(){var t;this.replacement_options_div.hasClass("show")&&(null!=this.replacement_options_div.data("current_option")&&(t=this.option_model[this.getOptionIndex(this.replacement_options_div.data("current_option"))],this.displaySelection(null!=t?t.element:null),this.current_value=this.replacement_options_div.data("current_option").attr("value")),this.setHighlight(-1),this.replacement_options_div.removeData("current_option"),this.replacement_options_div.removeData("new_option"),this.hideOptions(),this.triggerEvent("cancel",{value:this.current_value}))},this.normalizeText=function(t){return t="function"==typeof(t=String(t).toLowerCase()).normalize?t.normalize("NFD").replace(/[\u0300-\u036f]/g,""):t},this.getTypedCharacter=function(t){var e;return t.ctrlKey||t.altKey||t.metaKey?null:"string"==typeof(e=null!=t.originalEvent?t.originalEvent.key:undefined)?1==e.length?this.normalizeText(e):null:48<=t.which&&t.which<=57||65<=t.which&&t.which<=90||32==t.which?String.fromCharCode(t.which).toLowerCase():null},this.findTypeAheadOption=function(t,e){t=this.getTypedCharacter(t);if(null!=t){var i=(new Date).getTime();if(i-this.type_ahead_last_keypress>this.options.type_ahead_timeout&&(this.type_ahead_buffer=""),this.type_ahead_last_keypress=i," "!=t||""!=this.type_ahead_buffer){this.type_ahead_buffer+=t;for(var s=this.getNavigableIndexes(),i=v.inArray(e,s),l=this.type_ahead_buffer,n=Math.max(i,0),o=!0,a=1;a<l.length;a++)l.charAt(a)!=l.charAt(0)&&(o=!1);o&&(l=l.charAt(0),n=i+1);for(var h=0;h<s.length;h++){var r=s[(n+h)%s.length];if(0==this.normalizeText(this.option_model[r].text).indexOf(l))return this.getOptionElement(r)}}}return null},this.handleTouchEvent=function(t){var e=null!=t.originalEvent?t.originalEvent.changedTouches:null;null!=e&&0!=e.length&&("touchstart"==t.type?this.touch_start={x:e[0].clientX,y:e[0].clientY,moved:!1}:"touchmove"==t.type&&null!=this.touch_start?(10<Math.abs(e[0].clientX-this.touch_start.x)||10<Math.abs(e[0].clientY-this.touch_start.y))&&(this.touch_start.moved=!0):"touchend"==t.type&&null!=this.touch_start&&(e=!this.touch_start.moved,this.touch_start=null,e)&&!v(t.target).is("input, span.styled_select_clear")&&(t.preventDefault(),this.replacement_options_div.hasClass("show")||this.replacement_container_div.focus(),(e=v.Event("click")).target=t.target,this.simulateSelectBoxEvent(e),this.last_tap=(new Date).getTime()))},this.simulateSelectBoxEvent=function(t){var e=v(t.target);if(!this.linked_select_box.prop("disabled")||"focusout"==t.type){var i=v.ui!==undefined?v.ui.keyCode:{DOWN:40,PAGE_DOWN:34,UP:38,PAGE_UP:33,ENTER:13,TAB:9,ESCAPE:27,SPACE:32,HOME:36,END:35,LEFT:37,RIGHT:39,BACKSPACE:8,DELETE:46};if("keydown"==t.type){var s=this.searchable&&e.is(this.search_input);if(!s||-1!=v.inArray(t.which,[i.DOWN,i.PAGE_DOWN,i.UP,i.PAGE_UP,i.ENTER,i.TAB,i.ESCAPE])){var l=this.replacement_options_div.hasClass("show"),n=null,o=this.getOptionElement(this.findOptionIndex(this.current_value)),a=this.multiple||l&&-1!=this.highlighted_index?this.highlighted_index:this.findOptionIndex(this.current_value),h=this.getOptionElement(a),r=""!=this.type_ahead_buffer&&(new Date).getTime()-this.type_ahead_last_keypress<=this.options.type_ahead_timeout;if(t.which==i.ESCAPE)this.undoIntermediateChanges();else if(null==this.clear_span||t.which!=i.BACKSPACE&&t.which!=i.DELETE)if(!t.altKey||t.which!=i.DOWN&&t.which!=i.UP)if(t.which==i.TAB)this.multiple?this.undoIntermediateChanges():null==this.replacement_options_div.data("new_option")||this.isOptionFilteredOut(this.replacement_options_div.data("new_option"))||this.triggerValueChange(this.replacement_options_div.data("new_option").attr("value"));else if(t.which==i.ENTER&&l&&-1!=this.highlighted_group)t.preventDefault(),this.toggleGroup(this.highlighted_group);else if(t.which!=i.LEFT&&t.which!=i.RIGHT||!l||-1==this.highlighted_group)if(t.which==i.ENTER&&l&&this.create_highlighted)t.preventDefault(),this.createOption(this.search_input.val());else if(t.which==i.ENTER||t.which==i.SPACE&&!r)t.preventDefault(),l?this.multiple&&(t.which==i.SPACE||s)?0<h.length&&this.toggleMultipleSelection(h,t):this.commitHighlightedOption():this.showOptions();else{t.preventDefault();var d=this.getNavigableIndexes(),r=this.create_highlighted?d.length:v.inArray(a,d),s=d.length-1,p=null;if(l&&this.options.collapsible_groups&&0<this.group_model.length&&(t.which==i.DOWN||t.which==i.UP)){for(var c=this.getNavigableStops(),_=this.create_highlighted?c.length:-1,u=0;u<c.length&&-1==_;u++)(-1!=this.highlighted_group&&c[u].group==this.highlighted_group||-1==this.highlighted_group&&null!=c[u].option&&c[u].option==a)&&(_=u);h=null;if(t.which==i.DOWN)if(_<c.length-1)h=_+1;else{if(_==c.length-1&&null!=this.create_div&&this.create_div.hasClass("show"))return void this.highlightCreateRow();this.options.wrap_navigation&&(h=0)}else 0<_?h=_-1:-1!=_&&!this.options.wrap_navigation||(h=c.length-1);if(null==h||null==c[h])return;if(null!=c[h].group)return void this.highlightGroup(c[h].group);p=v.inArray(c[h].option,d)}else{if(t.which==i.DOWN&&l&&r==s&&null!=this.create_div&&this.create_div.hasClass("show")&&!this.create_highlighted)return void this.highlightCreateRow();t.which==i.DOWN?-1==r?p=0:r<s?p=r+1:this.options.wrap_navigation&&(p=0):t.which==i.UP?-1==r?p=s:0<r?p=r-1:this.options.wrap_navigation&&(p=s):t.which==i.HOME?p=0:t.which==i.END?p=s:t.which==i.PAGE_DOWN?p=Math.min(Math.max(r,0)+this.getPageSize(),s):t.which==i.PAGE_UP?p=Math.max(r-this.getPageSize(),0):n=this.findTypeAheadOption(t,a)}if(this.multiple&&-1==r&&-1==this.highlighted_group&&-1!=v.inArray(t.which,[i.DOWN,i.UP]))for(var g=0;g<d.length;g++)if(this.option_model[d[g]].element.selected){p=g;break}null!=p&&0<d.length&&(n=this.getOptionElement(d[p])),this.multiple?this.highlightOption(n):l?this.triggerIntermediaryChange(o,n):null!=n&&0<n.length&&this.triggerValueChange(n.attr("value"))}else{t.preventDefault();h=t.which==i.RIGHT!=this.rtl;this.group_model[this.highlighted_group].collapsed==h&&this.toggleGroup(this.highlighted_group)}else t.preventDefault(),l?this.commitHighlightedOption():this.showOptions();else t.preventDefault(),this.clearSelection()}}else"focusout"==t.type?null!=(s=t.relatedTarget||(null!=t.originalEvent?t.originalEvent.relatedTarget:null))&&(s===this.replacement_container_div.get(0)||v.contains(this.replacement_container_div.get(0),s)||null!=this.portal_div&&v.contains(this.portal_div.get(0),s))||this.replacement_options_div.is(":hover")||this.replacement_options_div.hasClass("show")&&(this.multiple||null==this.replacement_options_div.data("new_option")?this.hideOptions():this.triggerValueChange(this.replacement_options_div.data("new_option").attr("value"))):"click"!=t.type||null!=t.originalEvent&&(new Date).getTime()-this.last_tap<500||(r=e.closest("div.option"),o=e.closest("div.optgroup_label"),n=e.closest("div.styled_select_shortcut"),0<o.length&&this.options.collapsible_groups?this.toggleGroup(parseInt(o.attr("data-group-index"),10)):0<e.closest("span.styled_select_pin").length?this.togglePinned(this.getOptionIndex(r)):0<n.length?(i=parseInt(n.attr("data-index"),10),this.multiple?this.toggleMultipleSelection(this.getOptionElement(i),t):this.triggerValueChange(this.option_model[i].value)):0<e.closest("div.styled_select_create").length?this.createOption(this.search_input.val()):0==e.closest("div.styled_select_options_container").length?this.replacement_options_div.hasClass("show")?this.hideOptions():this.showOptions():0==r.length||r.hasClass("disabled")||(this.multiple?this.toggleMultipleSelection(r,t):this.triggerValueChange(r.attr("value"))))}},this.setCurrentSelectedTextAndValue=function(t){var e=this.linked_select_box.get(0),i=this.linked_select_box.find("option");if(this.multiple){var s=[],l=[],n=[];if(i.each(function(t,e){e.selected&&(s.push(e.value),l.push(e.text),n.push(e))}),0==n.length&&null!=this.placeholder)this.replacement_container_div.find("div.styled_select_option_display").text(this.placeholder);else if(null!=this.options.selection_template&&("count"!=this.options.multiple_summary||n.length<=1)){for(var o=[],a=0;a<n.length;a++)o.push(this.getSelectionHtml(n[a]));this.replacement_container_div.find("div.styled_select_option_display").html(o.join(", "))}else this.replacement_container_div.find("div.styled_select_option_display").text(this.getMultipleSummary(l));this.replacement_container_div.toggleClass("styled-select-empty",0==n.length).toggleClass("styled-select-placeholder",0==n.length&&null!=this.placeholder),this.current_value=s}else{e=i[e.selectedIndex];this.displaySelection(e),this.current_value=null!=e?e.value:null}this.markSelectedOptions(),this.updateValidity()},this.resizeOptions=function(t){var i=v(window).innerHeight()/2;v("div.styled_select.styled-select-full-replacement").each(function(t,e){v(e).find("div.styled_select_options_container").css({maxHeight:i+"px"})})}}v.fn.styledSelectBox=function(n){var s;if("string"==typeof n){var t,o=Array.prototype.slice.call(arguments,1);if(-1==v.inArray(n,["resize","update","refresh","enable","disable","open","close","toggle","focus","value","option","destroy"]))throw'StyledSelectBox widget: unknown method "'+n+'".';if("value"==n&&0==o.length||"option"==n&&1==o.length&&"string"==typeof o[0])return null==(t=this.first().data("styled_select"))?undefined:"value"==n?t.linked_select_box.val():t.options[o[0]];this.each(function(t,e){var i,s,l=v(e).data("styled_select");null!=l&&("destroy"==n?l.destroy():("resize"==n?l.resize():"update"==n?l.setCurrentSelectedTextAndValue():"refresh"==n?l.refresh():"enable"==n?l.setDisabled(!1):"disable"==n?l.setDisabled(!0):"open"==n?l.open():"close"==n?l.close():"toggle"==n?l.toggle():"focus"==n?l.focus():"value"==n?l.setValue(o[0],o[1]):"option"==n&&("string"==typeof(s=o[0])&&((s={})[o[0]]=o[1]),i=v.extend({},l.option_overrides,s),s=v.extend({},l.options,s),l.destroy(),(l=new r).initStyledSelect(v(e),s,i)),v(e).data("styled_select",l)))})}else s=v.extend({},v.fn.styledSelectBox.defaults,n),this.each(function(t,e){null!=v(e).data("styled_select")&&v(e).data("styled_select").destroy();var i=new r;i.initStyledSelect(v(e),s),v(e).data("styled_select",i)});return this},v.fn.styledSelectBox.defaults={image_base:null,classes:[],widget_height:null,include_separator_border:!0,z_index:null,full_replacement:!1,multiline:!1,multiple_summary:"list",multiple_summary_text:null,type_ahead_timeout:1e3,searchable:!1,no_results_text:null,source:null,source_page_size:50,source_delay:300,source_scroll_threshold:20,loading_text:null,load_error_text:null,virtualize:!1,virtual_row_height:20,virtual_buffer:10,option_template:null,group_template:null,selection_template:null,onOpen:null,onClose:null,onHighlight:null,onCancel:null,onBeforeChange:null,append_to:null,mobile_mode:"replace",wrap_navigation:!1,placeholder:null,allow_clear:!1,clear_text:null,arrow_html:null,theme:"default",creatable:!1,create_text:null,create_filter:null,onCreate:null,collapsible_groups:!1,i18n:{placeholder:null,no_results:"No results found",multiple_summary:"%d selected",loading:"Loading...",load_error:"The options could not be loaded",clear:"Clear selection",create:"Create “%s”",search:"Search",pinned:"Pinned",recent:"Recently used",pin:"Pin",unpin:"Unpin"},depends_on:null,depends_loader:null,recent:0,pinned:!1,storage_key:null,storage:null}}(jQuery);
\ No newline at end of file
@@ -7,7 +7,8 @@
  * whatever style they demand. Allows for simply replacing the `<select>` element,
  * or the `<select>` element and all of its `<optgroup>` and `<option>` elements.
  *
- * Currently only works with single-select `<select>` elements.
+ * Works with single-select and, in full replacement mode, multi-select (`multiple`)
+ * `<select>` elements.
  * 
  * Cross-platform Compatibility
  * ----------------------------
@@ -20,7 +21,7 @@
  * Requirements
  * ------------
  * 
- * * jQuery 1.7.0+
+ * * jQuery 1.7.0 through 3.x
  * 
  * Feature Overview
  * ----------------
@@ -42,6 +43,189 @@
  * `<optgroup>` and `<option>` element and nested the same as the original set. This way,
  * the user can fully style the options as he/she sees fit. Mouse and key events simulate
  * the behavior of the regular `<select>` element.
+ *
+ * Fully replaced `multiple` select boxes show each option with a checkbox. Clicking an
+ * option or pressing Space toggles it, Shift-click selects a range from the last toggled
+ * option (Ctrl/Cmd-Shift-click adds the range to the current selection), and the display
+ * element shows either a comma separated list of the selected options or, with the
+ * 'multiple\_summary' option set to 'count', a count such as "3 selected".
+ *
+ * Typing while a fully replaced widget has focus jumps to the first option beginning
+ * with the typed text, like a regular `<select>` element. Typing the same letter again
+ * cycles through the options beginning with it. Case and diacritics are ignored.
+ *
+ * The options of a fully replaced widget can be filtered with a search input at the top
+ * of the list, enabled through the 'searchable' option or a `data-styled-select-searchable="true"`
+ * attribute. Options and option groups that don't match are hidden, the matched text is
+ * emphasized, and the 'no\_results' text is shown when nothing matches. The arrow keys
+ * and Enter only move through and pick the visible options.
+ *
+ * Instead of copying the existing `<option>` elements, a fully replaced widget can load
+ * its options from the 'source' option: a URL returning JSON, or a function returning (a
+ * promise of) the options, which makes it easy to test against a local stub. Either one
+ * receives the search text, page and page size, and returns an array of `{value, text, group}`
+ * objects, or an object with such an array as 'items' and a 'more' flag. The first page is
+ * loaded when the list is opened, the next one when it is scrolled to the bottom, and a
+ * 'searchable' widget queries the source as the user types. Loaded options are added to
+ * the original `<select>` element, so form submission still works. Destroying the widget
+ * gives the `<select>` element its original options back, plus the loaded options that
+ * are selected.
+ *
+ * For select boxes with thousands of options, the 'virtualize' option or a
+ * `data-styled-select-virtualize="true"` attribute makes a fully replaced widget keep an
+ * in-memory model of its options and groups and only render the rows scrolled into view,
+ * plus a buffer. Every row then has the fixed 'virtual\_row\_height', so multi-line
+ * options are not supported in this mode.
+ *
+ * The widget watches the original `<select>` element for added, removed, renamed or
+ * disabled `<option>` and `<optgroup>` elements, and rebuilds the list of options and
+ * resizes itself when they change (in browsers supporting MutationObserver). Changes that
+ * can't be observed, like setting the `value` or `selectedIndex` of the `<select>` element
+ * directly, need a call to the 'refresh' method.
+ *
+ * Disabled `<option>` elements, and every option inside a disabled `<optgroup>`, get a
+ * 'disabled' class and can't be picked with the mouse or reached with the keyboard. A
+ * disabled `<select>` element gives its widget the 'styled-select-disabled' class, and a
+ * disabled fully replaced widget can't be opened and drops out of the tab order.
+ *
+ * Fully replaced widgets follow the WAI-ARIA combobox pattern, so screen readers announce
+ * them like a regular `<select>` element. The widget is a 'combobox' labelled by the
+ * `<label for>` element of the original `<select>` element, its list of options is a
+ * 'listbox' of 'option' elements grouped by their option groups, and the highlighted
+ * option is its 'aria-activedescendant'. The widget of a select box that is not fully
+ * replaced is hidden from screen readers, since the original `<select>` element still
+ * takes the focus.
+ *
+ * The 'option\_template', 'group\_template' and 'selection\_template' options render the
+ * options, option group labels and selected option(s) with your own markup, such as flag
+ * icons, descriptions or colour swatches. Each one is a function that receives the original
+ * `<option>` or `<optgroup>` element (with the `<select>` element as `this`), so it can read
+ * its `data-*` attributes, and returns HTML or a DOM node. The 'selection\_template' is also
+ * used by widgets that are not fully replaced.
+ *
+ * Besides the regular 'change' event, a fully replaced widget triggers these events on the
+ * original `<select>` element (bind them with the 'styledSelect' namespace, e.g.
+ * `$('select').on('open.styledSelect', handler)`). Handlers receive the event and a data object.
+ *
+ * * open				the list of options was shown
+ * * close				the list of options was hidden
+ * * highlight			an option was highlighted, with its 'value' and 'option' element
+ * * cancel			the user canceled the change he/she was making, with the restored 'value'
+ * * beforechange		the value is about to change, with the 'old\_value' and 'new\_value'. Call preventDefault() to veto the change
+ *
+ * Each one can also be handled through a callback option: 'onOpen', 'onClose', 'onHighlight',
+ * 'onCancel' and 'onBeforeChange'. A callback returning false vetoes a 'beforechange'.
+ *
+ * The list of options of a fully replaced widget opens below the widget, or above it when
+ * it doesn't fit below and there is more room above, and its height is limited to the room
+ * available. Inside modals or scroll panes that hide their overflow, the 'append\_to' option
+ * (e.g. 'body') moves the list out of the widget into the given element, where it is
+ * positioned with absolute coordinates and kept as wide as the widget. The list follows the
+ * widget while the page or any scrolling container around it scrolls or resizes.
+ *
+ * On touch devices (those with a coarse pointer) the 'mobile\_mode' option, or a
+ * `data-styled-select-mobile-mode` attribute, decides what a fully replaced widget does.
+ * 'native' makes it behave like a widget that is not fully replaced, so the tap reaches
+ * the transparent `<select>` element and opens the OS picker. 'auto' does the same,
+ * unless the widget is 'searchable' or has a 'source' the OS picker can't provide.
+ * 'replace' (the default) keeps the replacement: a tap opens it right away, the list
+ * scrolls with momentum, and scrolling it never selects an option.
+ *
+ * The keyboard works like it does on a regular `<select>` element, whether the list of
+ * options is shown or not. Up and Down move to the previous and next option, Home and End
+ * to the first and last, and PageUp and PageDown by the number of options in view.
+ * Enter, Space and Alt+Down show the list, and Enter, Space and Alt+Up pick the highlighted
+ * option and hide it again, while Escape hides it without picking anything. A single-select
+ * widget whose list is hidden selects the option right away. The highlighted option is
+ * always scrolled into view, moving the mouse over an option highlights it, and the
+ * 'wrap\_navigation' option makes Up and Down wrap around at the ends of the list.
+ *
+ * The 'placeholder' option (or a 'data-styled-select-placeholder' attribute on the
+ * `<select>` element) sets a text shown whenever the selected value is empty, with the
+ * 'styled-select-placeholder' class on the replacement widget. The 'allow\_clear' option
+ * adds a "×" control next to the dropdown arrow that resets the `<select>` element to its
+ * empty option and triggers the 'change' event. The Backspace and Delete keys do the same.
+ * Its title is the 'clear' text.
+ *
+ * The dropdown arrow is a built-in SVG arrow drawn in the text color, unless the
+ * 'arrow\_html' option gives markup of its own or the 'image\_base' option is set.
+ * The 'theme' option (or a 'data-styled-select-theme' attribute) picks one of the bundled
+ * themes, 'default', 'flat' or 'dark', added as a 'styled-select-theme-...' class. Themes
+ * only set CSS custom properties such as '--styled-select-border-color' and
+ * '--styled-select-highlight-background', so a page can adjust a theme or add its own.
+ *
+ * The widget takes part in its form. Resetting the form resyncs the widget, and the
+ * ':valid' and ':invalid' states of the `<select>` element are mirrored as the
+ * 'styled-select-valid' and 'styled-select-invalid' classes. Once the browser reports
+ * the `<select>` element invalid, for example when the form is submitted, its validation
+ * message is shown in a 'div.styled\_select\_error' element after the widget, and a fully
+ * replaced widget is focused. Clicking the `<label>` of a fully replaced widget focuses it.
+ *
+ * The 'creatable' option lets the user add a value that is not in the list of a fully
+ * replaced widget, and implies 'searchable'. When the search text matches no option
+ * exactly, a "Create “…”" row (the 'create' text) is shown below the options.
+ * Picking it with the mouse, or with Down and Enter, adds an `<option>` element to the
+ * `<select>` element, triggers the 'create' event (and the 'onCreate' callback) with its
+ * 'value', 'text' and 'option', and selects it. The 'create\_filter' option is a function
+ * that receives the text and returns the text (or a {value, text} object) of the option
+ * to create, or false to reject it.
+ *
+ * The label of the option group being scrolled through stays pinned at the top of the
+ * list of options of a fully replaced widget. The 'collapsible\_groups' option lets the
+ * user collapse and expand option groups by clicking their label, or by moving to it with
+ * Up and Down and pressing Enter. An `<optgroup>` element with a
+ * 'data-styled-select-collapsed="true"' attribute starts out collapsed. The keyboard skips
+ * the options of collapsed groups, and every group is expanded while the user searches.
+ *
+ * A widget whose `<select>` element, or its nearest ancestor with a 'dir' attribute, has
+ * `dir="rtl"` is laid out right-to-left, with the 'styled-select-rtl' class. The dropdown
+ * arrow, its separator border and the clear control move to the left, and the text and
+ * the list of options are aligned to the right. Up, Down, Home and End keep moving through
+ * the list in order. The Left and Right keys expand and collapse a highlighted option group,
+ * the arrow pointing the way the text flows expanding it.
+ *
+ * Every text the widget shows comes from the 'i18n' option: 'placeholder', 'no\_results',
+ * 'multiple\_summary', 'loading', 'load\_error', 'clear', 'create' and 'search' (the
+ * accessible name of the search input). Texts passed in for a widget override those of
+ * `$.fn.styledSelectBox.defaults.i18n` one by one, so a page can translate every widget at
+ * once and still change a single text of one. The older 'placeholder' and '\*\_text'
+ * options, like 'no\_results\_text', still override the 'i18n' texts.
+ *
+ *     $.fn.styledSelectBox.defaults.i18n.no_results = 'Aucun résultat';
+ *     $('#country').styledSelectBox({i18n: {placeholder: 'Choisissez un pays'}});
+ *
+ * The 'depends\_on' option (or a 'data-styled-select-depends-on' attribute) links a widget
+ * to a parent `<select>` element, like a state to its country. Its options are those whose
+ * 'data-parent-value' attribute, or that of their `<optgroup>`, matches the value of the
+ * parent, plus the options without the attribute. The 'depends\_loader' option instead
+ * loads them with a function that receives the parent's value and returns an array (or a
+ * promise of one) of {value, text, group} objects. Whenever the parent's value changes,
+ * the options are rebuilt and the value is reset, triggering the 'change' event, so the
+ * change ripples down chains like country, state and city. The widget is disabled while
+ * the parent has no value, and while its options load. This comes on top of disabling the
+ * `<select>` element yourself (or with the 'disable' method), which is kept, and restored
+ * when the widget is destroyed.
+ *
+ *     <select id="state" data-styled-select-depends-on="#country">
+ *         <option value="">Pick a state</option>
+ *         <option value="ca" data-parent-value="us">California</option>
+ *     </select>
+ *     $('#city').styledSelectBox({depends_on: '#state', depends_loader: function(state) {
+ *         return $.getJSON('/cities', {state: state});
+ *     }});
+ *
+ * Fully replaced widgets can list options the user comes back to in sections at the top
+ * of the list of options, hidden while the user searches. The 'recent' option sets how many
+ * of the values picked last are listed. The 'pinned' option lists the pinned options, and
+ * adds a star control to each option that pins or unpins it. Options with a
+ * 'data-styled-select-pinned' attribute are always pinned. Picking an option in a section
+ * picks it in the list. The recent and pinned values are stored under the 'storage\_key'
+ * option, or a key made from the id of the `<select>` element, in localStorage (or in memory
+ * for the page where localStorage can't be used). The 'storage' option takes any object with
+ * getItem(key) and setItem(key, value) methods instead. Values that no option has anymore
+ * are dropped.
+ *
+ *     $('#product').styledSelectBox({recent: 5, pinned: true, storage_key: 'order-product'});
  * 
  * Usage
  * =====
@@ -49,8 +233,25 @@
  * Create a regular `<select>` widget in HTML. Override any CSS styles needed for
  * your theme. On page DOM load, simply call the styledSelectBox() function with
  * or without any special options.
- * ####Required options:
- * * image\_base				location of directory where images are located
+ * No options are required. The 'image\_base' option, the location of the directory
+ * with the 'small-arrow.png' image, is only needed to use that image as the arrow.
+ *
+ * Options are merged in this order, each overriding the last: the defaults in
+ * `$.fn.styledSelectBox.defaults`, the options passed to styledSelectBox(), and the
+ * `data-styled-select-*` attributes of each `<select>` element. Every option except the
+ * callbacks and templates has a matching attribute, its name with dashes instead of
+ * underscores. Attribute values are converted to the type of the option: Booleans for
+ * flags, numbers for sizes and counts, and JSON arrays or objects where the option takes
+ * one. Options that take an array, like 'classes', also take a space separated list, as
+ * in `data-styled-select-classes="wide compact"`. Text options keep their text, so
+ * `data-styled-select-placeholder="2024"` stays a string, and 'null' unsets any other
+ * option. The defaults and the options passed in are never changed by the merge. Options
+ * changed later with the 'option' method take precedence over the attributes.
+ *
+ *     $.fn.styledSelectBox.defaults.widget_height = 30;
+ *     $('select').styledSelectBox({searchable: true});
+ *     <select data-styled-select-type="full" data-styled-select-classes='["wide"]'
+ *             data-styled-select-source-page-size="20">
  * 
  * If you need to resize the widget (say after updating the list of options in the
  * original select box) or explicitly update the selected text, instead of passing
@@ -58,8 +259,51 @@
  * ####Exposed methods:
  * * resize
  * * update
+ * * refresh			rebuilds the list of options, the selected text and the size of the widget
+ * * enable			enables the original `<select>` element and the widget
+ * * disable			disables the original `<select>` element and the widget
+ * * open				shows the list of options of a fully replaced widget
+ * * close				hides the list of options of a fully replaced widget
+ * * toggle			shows or hides the list of options of a fully replaced widget
+ * * focus				moves the focus to the widget
+ * * value				returns the value of the first select box, or with a value (and `true` to trigger 'change') selects it
+ * * option			returns the named option of the first select box, or with a name and value (or an object of options) changes them and rebuilds the widget
+ * * destroy			removes the widget and restores the original `<select>` element
+ *
+ * Calling styledSelectBox() with options on a select box that is already styled
+ * re-initializes it instead of adding a second widget. Calling an unknown method name
+ * throws an exception.
  *
- * @changelog	2.0.1 -	fully replaced elements will now receive the 'title' attribute of the original select box if it is set
+ *     $('#country').styledSelectBox('value', 'fr');
+ *     var country = $('#country').styledSelectBox('value');
+ *     $('#country').styledSelectBox('option', 'searchable', true);
+ *
+ * @changelog	2.1 -	added multi-select support for fully replaced `multiple` select boxes, and the 'multiple\_summary' and 'multiple\_summary\_text' options<br />
+ * 					added native-like type-ahead searching to fully replaced widgets, and the 'type\_ahead\_timeout' option<br />
+ * 					added the 'searchable' option and 'data-styled-select-searchable' attribute to filter the options of fully replaced widgets with a search input, and the 'no\_results\_text' option<br />
+ * 					added the 'source' option to load the options of fully replaced widgets remotely, with paging and searching<br />
+ * 					added the 'virtualize' option and 'data-styled-select-virtualize' attribute to only render the options of fully replaced widgets that are in view. keyboard navigation now uses an in-memory model of the options<br />
+ * 					added the 'destroy' method. initializing an already styled select box now re-initializes it<br />
+ * 					the widget now rebuilds itself when the options of the original select box change. added the 'refresh' method<br />
+ * 					disabled options, option groups and select boxes are now respected by fully replaced widgets. added the 'enable' and 'disable' methods<br />
+ * 					fully replaced widgets now have WAI-ARIA combobox and listbox roles and states<br />
+ * 					added the 'option\_template', 'group\_template' and 'selection\_template' options<br />
+ * 					added the 'open', 'close', 'highlight', 'cancel' and cancelable 'beforechange' events, and their callback options<br />
+ * 					added the 'open', 'close', 'toggle', 'focus', 'value' and 'option' methods. unknown method names now throw an exception<br />
+ * 					the list of options now opens above the widget when there is more room there, and follows it while scrolling. added the 'append\_to' option<br />
+ * 					added the 'mobile\_mode' option and 'data-styled-select-mobile-mode' attribute, and touch support for fully replaced widgets<br />
+ * 					fully replaced widgets now support the complete keyboard model of a regular select box: Home/End, page-sized PageUp/PageDown, Alt+Up/Down, and Space/Enter to open and close. the highlighted option is scrolled into view and follows the mouse. added the 'wrap\_navigation' option<br />
+ * 					added the 'placeholder' option and 'data-styled-select-placeholder' attribute, and the 'allow\_clear' option with a clear control that also works with the Backspace and Delete keys<br />
+ * 					the 'image\_base' option is now optional, with a built-in SVG arrow by default. added the 'arrow\_html' and 'theme' options, the 'data-styled-select-theme' attribute, and the 'default', 'flat' and 'dark' themes<br />
+ * 					the widget now resyncs when its form is reset, mirrors the ':valid' and ':invalid' states as classes and shows the validation message. label clicks and 'invalid' events focus fully replaced widgets<br />
+ * 					added the public '$.fn.styledSelectBox.defaults' object. options passed in no longer change the defaults. every option can now be set with a 'data-styled-select-*' attribute, which takes precedence over the options passed in<br />
+ * 					compatible with jQuery 1.7 through 3.x: removed the use of '$.browser' and of the private window 'events' data. select boxes with an empty id no longer give the widget the id 'StyledSelect'<br />
+ * 					added the 'creatable' option to add options from the search text, the 'create\_text', 'create\_filter' and 'onCreate' options and the 'create' event<br />
+ * 					the label of the current option group now stays pinned at the top of the list. added the 'collapsible\_groups' option and 'data-styled-select-collapsed' attribute for option groups<br />
+ * 					added right-to-left support from the 'dir' attribute, with the 'styled-select-rtl' class, and the 'i18n' option and global `$.fn.styledSelectBox.defaults.i18n` texts. the '\*\_text' options now default to null<br />
+ * 					added the 'depends\_on' and 'depends\_loader' options for cascading select boxes, and the 'data-parent-value' attribute for their options<br />
+ * 					added the 'recent' and 'pinned' options for sections of recently picked and pinned options, the 'data-styled-select-pinned' attribute for options, and the 'storage\_key' and 'storage' options to keep them<br />
+ * @changelog	2.0.1 -	fully replaced elements will now receive the 'title' attribute of the original select box if it is set<br />
  * @changelog	2.0 -	refactored. removed 'styled\_select\_id' option. added full replacement and multi-line option options, and 'data-styled-select-...' attribute recognition<br />
  * @changelog	1.1.6 - bug fix: certain browsers were not properly setting width of the selected\_option\_div element<br />
  * @changelog	1.1.5 - added fix for navigating via key press events. added README<br />
@@ -74,6 +318,155 @@
  */
 (function($) {
 	
+	/**
+	 * The number of widgets created so far, used to give the ARIA elements of
+	 * each widget a unique id.
+	 *
+	 * @access		private
+	 * @type		Number
+	 * @since		2.1
+	 */
+	var widget_count = 0;
+	
+	/**
+	 * The markup of the indicator dropdown arrow when neither the 'arrow_html' nor
+	 * the 'image_base' option is set: an inline SVG triangle drawn in the current
+	 * text color, so that it can be recolored with CSS and stays sharp on HiDPI screens.
+	 *
+	 * @access		private
+	 * @type		String
+	 * @since		2.1
+	 */
+	var default_arrow_html = '<svg viewBox="0 0 7 6" width="7" height="6" aria-hidden="true" focusable="false"><path d="M0 0h7L3.5 6z"/></svg>';
+	
+	/**
+	 * The options that take a function (or the 'storage' adapter object), which can't
+	 * be given as a data attribute.
+	 *
+	 * @access		private
+	 * @type		Array
+	 * @since		2.1
+	 */
+	var function_options = ['option_template', 'group_template', 'selection_template', 'create_filter',
+							'depends_loader', 'storage', 'onOpen', 'onClose', 'onHighlight', 'onCancel', 'onBeforeChange', 'onCreate'];
+	
+	/**
+	 * The options that take a Number but default to null, so their type can't be
+	 * told from their default.
+	 *
+	 * @access		private
+	 * @type		Array
+	 * @since		2.1
+	 */
+	var number_options = ['widget_height', 'z_index'];
+	
+	/**
+	 * Converts the text of a data attribute to the type of the option it sets, as
+	 * given by $.type(): 'true' and 'false' become Booleans for 'boolean' options,
+	 * numbers become Numbers for 'number' options, and JSON (like '["one", "two"]')
+	 * is parsed for 'array' and 'object' options. An 'array' option also takes a
+	 * space separated list. 'null' becomes null for any other option, and anything
+	 * else, including the text of 'string' options, stays a String.
+	 *
+	 * @access		private
+	 * @since		2.1
+	 *
+	 * @param		value				String				The text of the attribute
+	 * @param		type				String				The type of the option, like 'boolean' or 'string'
+	 *
+	 * @returns		mixed
+	 */
+	var coerceDataValue = function(value, type) {
+		if (type == 'array' || type == 'object') {
+			if (/^\s*[\[\{]/.test(value)) {
+				try {
+					return $.parseJSON(value);
+				}
+				catch (error) {}
+			}
+			if (type == 'array') {
+				// Rather than one item per character of the text.
+				return $.grep($.trim(value).split(/\s+/), function(item) {
+					return item !== '';
+				});
+			}
+		}
+		if (value == 'null') {
+			return null;
+		}
+		if (type == 'boolean' && (value == 'true' || value == 'false')) {
+			return (value == 'true');
+		}
+		if (type == 'number' && /^-?\d+(\.\d+)?$/.test(value)) {
+			return parseFloat(value);
+		}
+		return value;
+	}
+	
+	/**
+	 * The window 'resize' handler shared by all fully replaced widgets while it is
+	 * bound, so that it is bound only once and only it is unbound again.
+	 *
+	 * @access		private
+	 * @type		Function
+	 * @since		2.1
+	 */
+	var window_resize_handler = null;
+	
+	/**
+	 * Flag indicating whether the browser lacks window.getComputedStyle (Internet
+	 * Explorer 8 and older), and so needs the full widget height as line height.
+	 *
+	 * @access		private
+	 * @type		Boolean
+	 * @since		2.1
+	 */
+	var legacy_line_height = (window.getComputedStyle == null);
+	
+	/**
+	 * The storage adapter used for the 'recent' and 'pinned' values when the 'storage'
+	 * option is not set, once getDefaultStorage() has picked it.
+	 *
+	 * @access		private
+	 * @type		Object
+	 * @since		2.1
+	 */
+	var default_storage = null;
+	
+	/**
+	 * Returns the default storage adapter: window.localStorage, or an in-memory store
+	 * that lasts as long as the page where localStorage is missing or refuses to store
+	 * anything (like in some private browsing modes).
+	 *
+	 * @access		private
+	 * @since		2.1
+	 *
+	 * @returns		Object				An object with getItem(key) and setItem(key, value) methods
+	 */
+	var getDefaultStorage = function() {
+		if (default_storage != null) {
+			return default_storage;
+		}
+		try {
+			window.localStorage.setItem('styledSelectTest', '1');
+			window.localStorage.removeItem('styledSelectTest');
+			default_storage = window.localStorage;
+		}
+		catch (error) {
+			var items = {};
+			default_storage = {
+				getItem : function(key) {
+					return (items.hasOwnProperty(key) ? items[key] : null);
+				},
+				setItem : function(key, value) {
+					items[key] = String(value);
+				}
+			};
+		}
+		return default_storage;
+	}
+	
+	
 	/**
 	 * The helper class whose objects hold the constructed elements and references for
 	 * each individual select box.
@@ -168,207 +561,3610 @@
 		 */
 		this.current_value = null;
 		
-		//--------------------------------------------------------------------------
-		//
-		//  Methods
-		//
-		//--------------------------------------------------------------------------
+		/**
+		 * Flag indicating whether the linked_select_box <select> element allows multiple
+		 * selections. When true, 'current_value' is an array of values.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.multiple = false;
 		
 		/**
-		 * Initializes the styled select widget. Creates and adds any optional classes
-		 * to the new 'styled_select' <div>, creates and adds its children, sets the
-		 * indicator arrow image based on the 'image_base' option, determines the
-		 * height of the new widget based on the height of the original <select> widget,
-		 * and creates the event handler for changing options.
+		 * The 'option_model' index of the option that was last toggled in a multi-select
+		 * widget, used as the starting point of a Shift-click range selection.
 		 *
-		 * If the required options are not present, throws an exception.
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		-1
+		 */
+		this.anchor_index = -1;
+		
+		/**
+		 * The in-memory model of the <option> elements of the linked_select_box <select>
+		 * element, in document order. Each entry holds the option's 'index', 'value',
+		 * 'text', native 'element' and 'group_index' (-1 outside of an <optgroup>), and
+		 * whether it is 'filtered' out by the search along with its 'match_html'.
 		 *
 		 * @access		public
+		 * @type		Array
 		 * @memberOf	StyledSelect
-		 * @since		2.0
-		 * @updated		2.0.1
-		 * @throws		StyledSelect exception
+		 * @since		2.1
+		 * @default		[]
+		 */
+		this.option_model = [];
+		
+		/**
+		 * The in-memory model of the <optgroup> elements of the linked_select_box
+		 * <select> element. Each entry holds the group's 'label' and native 'element'.
 		 *
-		 * @param		original_select_box				jQuery				jQuery extended <select> element
-		 * @param		options							Object				The actual final set of extended options that will be used in creating
-		 * 																		the replacement styledSelect widget.
+		 * @access		public
+		 * @type		Array
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		[]
 		 */
-		this.initStyledSelect = function(original_select_box, options) {
-			this.options = options;
-			
-			this.linked_select_box = $(original_select_box);
-			
-			var new_styled_select_id = null;
-			if (this.linked_select_box.prop('id') != null) {
-				new_styled_select_id = this.linked_select_box.prop('id')+"StyledSelect";
-			}
-			
-			var full_replacement = (this.options.full_replacement == true ||
-									(this.linked_select_box.attr('data-styled-select-type') != null &&
-									 this.linked_select_box.attr('data-styled-select-type') == 'full'));
-			var multiline = (this.options.multiline == true ||
-							 (this.linked_select_box.attr('data-styled-select-multiline') != null &&
-							  this.linked_select_box.attr('data-styled-select-multiline') == 'true'));
-			
-			// Create the replacement widget elements.
-			this.replacement_container_div = $('<div></div>').addClass('styled_select').prop('id', new_styled_select_id);
-			this.selected_option_div = $('<div></div>').addClass('styled_select_option_display');
-			this.arrow_span = $('<span>&nbsp;</span>').addClass('styled_select_arrow').css({backgroundImage:'url('+this.options.image_base+'/small-arrow.png'+')'});
-			
-			if (options.include_separator_border) {
-				// Only add the border if we specify to do so
-				var arrow_left_border = this.replacement_container_div.css('border-left-width') + ' ' +
-										this.replacement_container_div.css('border-left-style') + ' ' +
-										this.replacement_container_div.css('border-left-color');
-				this.arrow_span.css({borderLeft: arrow_left_border});
-			}
-			
-			this.replacement_container_div
-				.append(this.selected_option_div)
-				.append(this.arrow_span);
-			
-			if (this.options.z_index != null) {
-				this.replacement_container_div.css({zIndex: this.options.z_index});
-				this.linked_select_box.css({zIndex: (this.options.z_index+1)});
-			}
-			
-			// Add optional classes.
-			if (this.options.classes.length > 0) {
-				for (var i = 0; i < this.options.classes.length; i++) {
-					this.replacement_container_div.addClass(this.options.classes[i]);
-				}
-			}
-			
-			if (full_replacement) {
-				this.replacement_container_div.addClass('styled-select-full-replacement');
-				this.linked_select_box.addClass('styled-select-full-replacement');
-				
-				if (multiline) {
-					this.replacement_container_div.addClass('styled-select-multiline');
-				}
-				
-				if (this.linked_select_box.attr('title') != null) {
-					this.replacement_container_div.attr('title', this.linked_select_box.attr('title'));
-				}
-				
-				if (this.linked_select_box.attr('tabindex') != null) {
-					this.replacement_container_div.attr('tabindex', this.linked_select_box.attr('tabindex'));
-					this.linked_select_box.attr('tabindex', -1);
-				}
-				else {
-					this.replacement_container_div.attr('tabindex', 0);
-				}
-				// Generate and add the options and optgroups.
-				this.generateOptions();
-			}
-			
-			// Add the new replacement widget.
-			this.linked_select_box.after(this.replacement_container_div);
-			
-			// Size the widget.
-			this.resize();
-			this.linked_select_box.addClass('original_select_now_styled');
-			
-			// Add the event handler(s).
-			this.linked_select_box
-				.on('change.styledSelect', $.proxy(this.setCurrentSelectedTextAndValue, this))
-				.on('keyup.styledSelect', $.proxy(this.setCurrentSelectedTextAndValue, this));
+		this.group_model = [];
+		
+		/**
+		 * The 'div.option' elements of a fully replaced widget that is not virtualized,
+		 * in the same order as the 'option_model'.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.option_elements = null;
+		
+		/**
+		 * The 'option_model' index of the highlighted option, or -1.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		-1
+		 */
+		this.highlighted_index = -1;
+		
+		/**
+		 * Flag indicating whether a fully replaced widget only renders the rows of
+		 * its list of options that are scrolled into view.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.virtualize = false;
+		
+		/**
+		 * The 'styled_select_virtual_rows' <div> element holding the rendered rows of
+		 * a virtualized widget.
+		 *
+		 * @access		public
+		 * @type		HTMLElement <div>
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.virtual_rows_div = null;
+		
+		/**
+		 * The rows a virtualized widget can currently show, in order: {group: index}
+		 * for an <optgroup> label and {option: index} for an option.
+		 *
+		 * @access		public
+		 * @type		Array
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		[]
+		 */
+		this.virtual_rows = [];
+		
+		/**
+		 * The 'tabindex' attribute of the linked_select_box <select> element before
+		 * the widget was initialized, restored when it is destroyed.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.original_tabindex = null;
+		
+		/**
+		 * The 'style' attribute of the linked_select_box <select> element before the
+		 * widget was initialized, restored when it is destroyed so that its original
+		 * z-index, height and line-height come back.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.original_style = null;
+		
+		/**
+		 * The MutationObserver watching the linked_select_box <select> element for added,
+		 * removed, renamed or disabled <option> and <optgroup> elements. Stays null in
+		 * browsers without MutationObserver support, where the 'refresh' method has to
+		 * be called instead.
+		 *
+		 * @access		public
+		 * @type		MutationObserver
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.mutation_observer = null;
+		
+		/**
+		 * The 'tabindex' of the replacement_container_div <div> of a fully replaced
+		 * widget while it is enabled. A disabled widget gets a 'tabindex' of -1 so
+		 * that it drops out of the tab order.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.enabled_tabindex = null;
+		
+		/**
+		 * The unique prefix of the ids given to the listbox, options and option group
+		 * labels of a fully replaced widget, which its ARIA attributes refer to.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.aria_id = null;
+		
+		/**
+		 * The <div> holding the replacement_options_div when the 'append_to' option moves
+		 * the list of options out of the widget. It carries the classes of the widget, so
+		 * the list keeps its styles, and is positioned at the bottom (or top) edge of the
+		 * widget with a height of 0.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.portal_div = null;
+		
+		/**
+		 * The scrolling ancestors of the widget, whose 'scroll' events reposition the
+		 * list of options while it is shown.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.scroll_parents = null;
+		
+		/**
+		 * The 'scroll' and 'resize' handler repositioning the list of options of this
+		 * widget, kept so that it can be unbound without affecting other widgets.
+		 *
+		 * @access		public
+		 * @type		Function
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.position_handler = null;
+		
+		/**
+		 * Where the current touch on a fully replaced widget started, and whether it has
+		 * moved far enough since to be a scroll instead of a tap: {x, y, moved}.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.touch_start = null;
+		
+		/**
+		 * The time of the last tap handled by a fully replaced widget, used to ignore
+		 * the 'click' event the browser emulates for it.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		0
+		 */
+		this.last_tap = 0;
+		
+		/**
+		 * The text shown instead of an empty selection, from the 'placeholder' option
+		 * or the 'data-styled-select-placeholder' attribute.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.placeholder = null;
+		
+		/**
+		 * The <span> element that clears the selection when the 'allow_clear' option is set.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.clear_span = null;
+		
+		/**
+		 * The name of the bundled theme ('default', 'flat' or 'dark') applied to the
+		 * widget as a 'styled-select-theme-*' class, from the 'theme' option or the
+		 * 'data-styled-select-theme' attribute.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.theme = null;
+		
+		/**
+		 * The <div> element that shows the 'validationMessage' of the linked_select_box
+		 * <select> element once the browser has reported it invalid.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.error_div = null;
+		
+		/**
+		 * Flag indicating whether the validation error is shown, from the first 'invalid'
+		 * event (usually an attempt to submit the form) until the form is reset.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.show_validation = false;
+		
+		/**
+		 * The form of the linked_select_box <select> element, whose 'reset' event
+		 * resyncs the widget.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.parent_form = null;
+		
+		/**
+		 * The <label> elements of a fully replaced widget whose clicks focus it.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.linked_labels = null;
+		
+		/**
+		 * The handler bound to the form's 'reset' event and the labels' 'click' events
+		 * by bindFormHandlers(), kept so that only this widget's handlers are removed.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.form_handlers = null;
+		
+		/**
+		 * The 'styled_select_create' <div> element of a 'creatable' widget, shown at the
+		 * bottom of the list of options when the search text matches no option exactly.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.create_div = null;
+		
+		/**
+		 * Flag indicating whether the 'styled_select_create' row is highlighted, so that
+		 * Enter creates the option instead of picking one.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.create_highlighted = false;
+		
+		/**
+		 * The 'group_model' index of the <optgroup> whose label is highlighted in
+		 * 'collapsible_groups' mode, so that Enter expands or collapses it, or -1.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		-1
+		 */
+		this.highlighted_group = -1;
+		
+		/**
+		 * Flag indicating whether the widget is laid out right-to-left, from the 'dir'
+		 * attribute of the linked_select_box <select> element or its nearest ancestor
+		 * that has one.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.rtl = false;
+		
+		/**
+		 * The built-in texts of the widget, keyed like the 'i18n' option: the global
+		 * '$.fn.styledSelectBox.defaults.i18n' texts overridden by those of the 'i18n'
+		 * option of this widget.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.i18n = null;
+		
+		/**
+		 * The characters typed so far by the user while searching the options of
+		 * a fully replaced widget. Reset once the 'type_ahead_timeout' passes
+		 * without a key press.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		''
+		 */
+		this.type_ahead_buffer = '';
+		
+		/**
+		 * The time, in milliseconds, of the last key press added to 'type_ahead_buffer'.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		0
+		 */
+		this.type_ahead_last_keypress = 0;
+		
+		/**
+		 * Flag indicating whether a fully replaced widget shows a search input at the
+		 * top of its list of options to filter them.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.searchable = false;
+		
+		/**
+		 * The 'styled_select_search_input' <input> element used to filter the list of
+		 * options of a searchable widget.
+		 *
+		 * @access		public
+		 * @type		HTMLElement <input>
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.search_input = null;
+		
+		/**
+		 * The 'styled_select_no_results' <div> element shown at the bottom of the list
+		 * of options of a searchable widget when no option matches the search.
+		 *
+		 * @access		public
+		 * @type		HTMLElement <div>
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.no_results_div = null;
+		
+		/**
+		 * The 'styled_select_status' <div> element shown at the bottom of the list of
+		 * options while remote options are loading, or after they failed to load.
+		 *
+		 * @access		public
+		 * @type		HTMLElement <div>
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.status_div = null;
+		
+		/**
+		 * The search text the remote options currently listed were loaded for.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		''
+		 */
+		this.remote_query = '';
+		
+		/**
+		 * The last page of remote options loaded for the 'remote_query'.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		0
+		 */
+		this.remote_page = 0;
+		
+		/**
+		 * Flag indicating whether the 'source' has more pages of options for the 'remote_query'.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.remote_has_more = false;
+		
+		/**
+		 * Flag indicating whether remote options are currently being loaded.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.remote_loading = false;
+		
+		/**
+		 * Flag indicating whether remote options have been loaded at least once.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.remote_loaded = false;
+		
+		/**
+		 * The number of remote option requests made, used to ignore the responses
+		 * of all but the latest request.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		0
+		 */
+		this.remote_request_count = 0;
+		
+		/**
+		 * The timer delaying the remote search until the user stops typing.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.remote_search_timer = null;
+		
+		/**
+		 * Copies of the original <option> and <optgroup> elements of a widget with the
+		 * 'source' option, which replaces them with the options it loads. They are
+		 * given back when the widget is destroyed.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.source_options = null;
+		
+		/**
+		 * The parent <select> element named by the 'depends_on' option, whose value
+		 * decides the options of this widget.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.parent_select_box = null;
+		
+		/**
+		 * Copies of the original <option> and <optgroup> elements of a widget with the
+		 * 'depends_on' option, from which its options are rebuilt whenever the value of
+		 * the parent_select_box changes.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.dependent_options = null;
+		
+		/**
+		 * The 'change' handler bound to the parent_select_box, kept to unbind only this
+		 * widget's handler when it is destroyed.
+		 *
+		 * @access		public
+		 * @type		Function
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.parent_change_handler = null;
+		
+		/**
+		 * The number of 'depends_loader' calls made, used to ignore the options loaded
+		 * for all but the latest value of the parent_select_box.
+		 *
+		 * @access		public
+		 * @type		Number
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		0
+		 */
+		this.dependent_request_count = 0;
+		
+		/**
+		 * Whether the page disabled the linked_select_box <select> element of a widget
+		 * with the 'depends_on' option, itself or through the 'disable' method. Read when
+		 * the widget is initialized, and restored when it is destroyed.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.author_disabled = false;
+		
+		/**
+		 * Whether a widget with the 'depends_on' option is disabled because its parent
+		 * has no value, or because its options are being loaded. This comes on top of
+		 * the author_disabled state, and never clears it.
+		 *
+		 * @access		public
+		 * @type		Boolean
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		false
+		 */
+		this.dependent_disabled = false;
+		
+		/**
+		 * The storage adapter the 'recent' and 'pinned' values are kept in: the 'storage'
+		 * option, or localStorage with an in-memory fallback.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.storage = null;
+		
+		/**
+		 * The key of the 'recent' and 'pinned' values in the storage: the 'storage_key'
+		 * option, or one made from the id of the linked_select_box <select> element.
+		 * Without either, the values are not stored.
+		 *
+		 * @access		public
+		 * @type		String
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.storage_key = null;
+		
+		/**
+		 * The values the user picked last, the latest first, listed in the recent
+		 * section of the list of options.
+		 *
+		 * @access		public
+		 * @type		Array
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		[]
+		 */
+		this.recent_values = [];
+		
+		/**
+		 * The values the user pinned, in the order they were pinned. Options with a
+		 * 'data-styled-select-pinned' attribute are pinned too, but not kept here.
+		 *
+		 * @access		public
+		 * @type		Array
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		[]
+		 */
+		this.pinned_values = [];
+		
+		/**
+		 * The 'styled_select_shortcuts' <div> element at the top of the list of options
+		 * holding the pinned and recent sections.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 * @default		null
+		 */
+		this.shortcuts_div = null;
+		
+		/**
+		 * The options set with the 'option' method, kept when the widget is rebuilt so
+		 * that they take precedence over the 'data-styled-select-*' attributes.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.option_overrides = {};
+		
+		//--------------------------------------------------------------------------
+		//
+		//  Methods
+		//
+		//--------------------------------------------------------------------------
+		
+		/**
+		 * Reads the options set with data attributes on the linked_select_box <select>
+		 * element. Each option has a matching 'data-styled-select-*' attribute, its name
+		 * with dashes instead of underscores (like 'data-styled-select-widget-height'),
+		 * except the options that take a function. Values are converted to the type of
+		 * the option's default (see coerceDataValue), so 'true', '30' and '["one", "two"]'
+		 * give a Boolean, a Number and an Array for a flag, a size and the 'classes', while
+		 * text options keep their text.
+		 * 'data-styled-select-type="full"' is also read as the 'full_replacement' option.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @returns		Object
+		 */
+		this.readDataOptions = function() {
+			var select_box = this.linked_select_box.get(0);
+			var data_options = {};
+			if (select_box.getAttribute('data-styled-select-type') == 'full') {
+				data_options.full_replacement = true;
+			}
+			$.each($.fn.styledSelectBox.defaults, function(name, default_value) {
+				if ($.inArray(name, function_options) != -1) {
+					return;
+				}
+				var value = select_box.getAttribute('data-styled-select-' + name.replace(/_/g, '-'));
+				if (value != null) {
+					data_options[name] = coerceDataValue(value, ($.inArray(name, number_options) != -1 ? 'number' : $.type(default_value)));
+				}
+			});
+			return data_options;
+		}
+		
+		/**
+		 * Returns the built-in text with the given 'i18n' key. The older '*_text' options
+		 * (like 'no_results_text' for the 'no_results' text) still take precedence when set.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		key						String				The 'i18n' key of the text, like 'no_results' or 'clear'
+		 *
+		 * @returns		String
+		 */
+		this.getText = function(key) {
+			if (this.options[key + '_text'] != null) {
+				return this.options[key + '_text'];
+			}
+			return this.i18n[key];
+		}
+		
+		/**
+		 * Initializes the styled select widget. Creates and adds any optional classes
+		 * to the new 'styled_select' <div>, creates and adds its children, sets the
+		 * indicator arrow based on the 'arrow_html' or 'image_base' option, applies the
+		 * theme and text direction, determines the height of the new widget based on the height of the
+		 * original <select> widget, creates the event handler for changing options, and
+		 * links the widget to its 'depends_on' parent.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.0
+		 * @updated		2.1
+		 * @throws		StyledSelectBox exception
+		 *
+		 * @param		original_select_box				jQuery				jQuery extended <select> element
+		 * @param		options							Object				The actual final set of extended options that will be used in creating
+		 * 																		the replacement styledSelect widget.
+		 * @param		option_overrides				Object				Optional. Options set with the 'option' method, which take precedence
+		 * 																		over the data attributes.
+		 */
+		this.initStyledSelect = function(original_select_box, options, option_overrides) {
+			this.linked_select_box = $(original_select_box);
+			this.option_overrides = $.extend({}, option_overrides);
+			// The element's own data attributes take precedence over the options passed in, but not over the 'option' method.
+			this.options = $.extend({}, options, this.readDataOptions(), this.option_overrides);
+			
+			// Read the attributes themselves, as jQuery's 'tabindex' hook reports a default for focusable elements.
+			this.original_tabindex = this.linked_select_box.get(0).getAttribute('tabindex');
+			this.original_style = this.linked_select_box.get(0).getAttribute('style');
+			
+			// An empty 'id' attribute is no id either.
+			var new_styled_select_id = null;
+			if (this.linked_select_box.attr('id')) {
+				new_styled_select_id = this.linked_select_box.attr('id')+"StyledSelect";
+			}
+			
+			if (this.options.depends_on != null) {
+				this.parent_select_box = $(this.options.depends_on).filter('select').first();
+				if (this.parent_select_box.length == 0) {
+					throw 'StyledSelectBox widget: the "depends_on" select box was not found.';
+				}
+			}
+			
+			var full_replacement = (this.options.full_replacement == true);
+			var multiline = (this.options.multiline == true);
+			this.multiple = (this.linked_select_box.prop('multiple') == true);
+			// Creating an option takes the text typed into the search input.
+			this.searchable = (this.options.searchable == true || this.options.creatable == true);
+			this.virtualize = (this.options.virtualize == true);
+			var mobile_mode = this.options.mobile_mode;
+			var touch_device = this.isTouchDevice();
+			if (full_replacement && touch_device &&
+				(mobile_mode == 'native' || (mobile_mode == 'auto' && ! this.searchable && this.options.source == null))) {
+				// Let the OS picker handle the transparent <select> element, like a widget that is not fully replaced.
+				full_replacement = false;
+			}
+			
+			// The texts of this widget override the global ones one by one, those of its data attribute last.
+			this.i18n = $.extend({}, $.fn.styledSelectBox.defaults.i18n, options.i18n, this.options.i18n);
+			this.placeholder = (this.options.placeholder != null ? this.options.placeholder : this.i18n.placeholder);
+			
+			// The nearest 'dir' attribute sets the direction, like it does for the <select> element itself.
+			var dir_element = this.linked_select_box.closest('[dir]');
+			this.rtl = (dir_element.length > 0 && String(dir_element.attr('dir')).toLowerCase() == 'rtl');
+			
+			// Create the replacement widget elements.
+			this.replacement_container_div = $('<div></div>').addClass('styled_select');
+			if (new_styled_select_id != null) {
+				this.replacement_container_div.attr('id', new_styled_select_id);
+			}
+			if (this.rtl) {
+				this.replacement_container_div.addClass('styled-select-rtl').attr('dir', 'rtl');
+			}
+			this.selected_option_div = $('<div></div>').addClass('styled_select_option_display');
+			this.arrow_span = $('<span></span>').addClass('styled_select_arrow');
+			if (this.options.arrow_html != null) {
+				this.arrow_span.html(this.options.arrow_html);
+			}
+			else if (this.options.image_base != null) {
+				this.arrow_span
+					.html('&nbsp;')
+					.addClass('styled-select-image-arrow')
+					.css({backgroundImage:'url('+this.options.image_base+'/small-arrow.png'+')'});
+			}
+			else {
+				this.arrow_span.html(default_arrow_html);
+			}
+			
+			this.theme = this.options.theme;
+			if (this.theme != null && this.theme != '') {
+				this.replacement_container_div.addClass('styled-select-theme-'+this.theme);
+			}
+			if (this.options.allow_clear) {
+				this.clear_span = $('<span>&times;</span>').addClass('styled_select_clear').attr({
+					role : 'button',
+					title : this.getText('clear'),
+					'aria-label' : this.getText('clear')
+				});
+				this.clear_span.on('click.styledSelect', $.proxy(function(event) {
+					// Don't also open or close the list of options.
+					event.stopPropagation();
+					this.clearSelection();
+				}, this));
+			}
+			
+			if (this.options.include_separator_border) {
+				// Only add the border if we specify to do so, on the side of the arrow facing the text.
+				var separator_side = (this.rtl ? 'right' : 'left');
+				var arrow_separator_border = this.replacement_container_div.css('border-' + separator_side + '-width') + ' ' +
+											 this.replacement_container_div.css('border-' + separator_side + '-style') + ' ' +
+											 this.replacement_container_div.css('border-' + separator_side + '-color');
+				this.arrow_span.css('border-' + separator_side, arrow_separator_border);
+			}
+			
+			this.replacement_container_div
+				.append(this.selected_option_div)
+				.append(this.clear_span)
+				.append(this.arrow_span);
+			
+			if (this.options.z_index != null) {
+				this.replacement_container_div.css({zIndex: this.options.z_index});
+				this.linked_select_box.css({zIndex: (this.options.z_index+1)});
+				if (this.clear_span != null) {
+					// Keep the clear control clickable above the linked <select> element.
+					this.clear_span.css({zIndex: (this.options.z_index+2)});
+				}
+			}
+			
+			// Add optional classes.
+			if (this.options.classes.length > 0) {
+				for (var i = 0; i < this.options.classes.length; i++) {
+					this.replacement_container_div.addClass(this.options.classes[i]);
+				}
+			}
+			
+			if (full_replacement) {
+				this.replacement_container_div.addClass('styled-select-full-replacement');
+				this.linked_select_box.addClass('styled-select-full-replacement');
+				
+				if (multiline) {
+					this.replacement_container_div.addClass('styled-select-multiline');
+				}
+				
+				if (this.multiple) {
+					this.replacement_container_div.addClass('styled-select-multiple');
+				}
+				
+				if (touch_device) {
+					this.replacement_container_div.addClass('styled-select-touch');
+				}
+				
+				if (this.linked_select_box.attr('title') != null) {
+					this.replacement_container_div.attr('title', this.linked_select_box.attr('title'));
+				}
+				
+				if (this.original_tabindex != null) {
+					this.replacement_container_div.attr('tabindex', this.original_tabindex);
+					this.linked_select_box.attr('tabindex', -1);
+				}
+				else {
+					this.replacement_container_div.attr('tabindex', 0);
+				}
+				this.enabled_tabindex = this.replacement_container_div.attr('tabindex');
+				this.aria_id = 'styledSelect' + (++widget_count);
+				this.replacement_container_div.attr({
+					role : 'combobox',
+					'aria-haspopup' : 'listbox',
+					'aria-expanded' : 'false',
+					'aria-controls' : this.aria_id + 'Listbox'
+				});
+				this.labelReplacement();
+				if (this.options.recent > 0 || this.options.pinned) {
+					this.loadStoredValues();
+				}
+				// Generate and add the options and optgroups.
+				this.generateOptions();
+			}
+			
+			else {
+				// The original <select> element still takes the focus and gets announced, so hide the look-alike from screen readers.
+				this.replacement_container_div.attr('aria-hidden', 'true');
+			}
+			
+			// Add the new replacement widget, followed by the element showing its validation error.
+			this.error_div = $('<div></div>').addClass('styled_select_error').attr('aria-live', 'polite').hide();
+			if (this.aria_id != null) {
+				this.error_div.attr('id', this.aria_id + 'Error');
+				this.replacement_container_div.attr('aria-describedby', this.aria_id + 'Error');
+			}
+			this.linked_select_box.after(this.replacement_container_div);
+			this.replacement_container_div.after(this.error_div);
+			
+			// Size the widget.
+			this.resize();
+			this.linked_select_box.addClass('original_select_now_styled');
+			
+			// Add the event handler(s).
+			this.linked_select_box
+				.on('change.styledSelect', $.proxy(this.setCurrentSelectedTextAndValue, this))
+				.on('keyup.styledSelect', $.proxy(this.setCurrentSelectedTextAndValue, this))
+				.on('invalid.styledSelect', $.proxy(this.reportInvalid, this));
+			this.bindFormHandlers();
+			if (this.options.allow_clear && ! full_replacement) {
+				this.linked_select_box.on('keydown.styledSelect', $.proxy(function(event) {
+					if (event.which == 8 || event.which == 46) {
+						// Backspace or Delete clears the selection.
+						event.preventDefault();
+						this.clearSelection();
+					}
+				}, this));
+			}
+			
+			if (full_replacement) {
+				// Full replacement widgets require extra event handlers
+				this.replacement_container_div
+					.add(this.portal_div)
+					.on('click.styledSelect', $.proxy(this.simulateSelectBoxEvent, this))
+					.on('keydown.styledSelect', $.proxy(this.simulateSelectBoxEvent, this))
+					.on('focusout.styledSelect', $.proxy(this.simulateSelectBoxEvent, this))
+					.on('touchstart.styledSelect touchmove.styledSelect touchend.styledSelect', $.proxy(this.handleTouchEvent, this));
+				if (window_resize_handler == null) {
+					window_resize_handler = this.resizeOptions;
+					$(window).on('resize.styledSelect', window_resize_handler);
+				}
+				this.resizeOptions();
+			}
+			
+			// Determine the option text to show.
+			this.setCurrentSelectedTextAndValue();
+			this.updateDisabledState();
+			
+			// Keep the widget in sync with changes to the options.
+			this.observeSelectBox();
+			
+			if (this.parent_select_box != null) {
+				this.bindParentSelectBox();
+			}
+		}
+		
+		/**
+		 * Determines the height and width of the new widget based on the height and
+		 * width of the original <select> widget, and sets those values to the replacement
+		 * container div.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.0
+		 * @updated		2.1
+		 */
+		this.resize = function() {
+			// Set the calculated widths
+			this.replacement_container_div.css({width:this.linked_select_box.outerWidth()+'px'});
+			
+			// Set the heights
+			var sel_opt_css = {
+				width:(parseInt(this.replacement_container_div.innerWidth()-this.arrow_span.outerWidth()-(this.clear_span != null ? this.clear_span.outerWidth() : 0)))+'px'
+			};
+			if (this.options.widget_height != null) {
+				var rpcd_css = {
+					height:this.options.widget_height + "px"
+				};
+				this.linked_select_box.css({height:this.options.widget_height + "px",
+											lineHeight:(parseInt(this.options.widget_height)-2) + "px"});
+				sel_opt_css['height'] = this.options.widget_height + "px";
+				rpcd_css['lineHeight'] = (parseInt(this.options.widget_height)-2) + "px"; // default
+				if (legacy_line_height) { // IE 8 and older override
+					rpcd_css['lineHeight'] = this.options.widget_height + "px";
+				}
+				this.replacement_container_div.css(rpcd_css);
+			}
+			else {
+				sel_opt_css['height'] = this.linked_select_box.height() + "px";
+			}
+			this.selected_option_div.css(sel_opt_css);
+		}
+		
+		/**
+		 * Removes the replacement widget and restores the linked_select_box <select>
+		 * element to the way it was before initialization: its classes, 'tabindex'
+		 * and inline styles, the widget's own 'change', 'keyup', 'keydown' and 'invalid' handlers,
+		 * its form and label handlers and 'styled_select' data are removed or restored. Handlers
+		 * bound to the lifecycle events are kept, so they survive re-initialization. The shared
+		 * window 'resize' handler is removed once no fully replaced widget is left. A widget
+		 * with the 'depends_on' option gets its original options back, keeping its value,
+		 * and stops following its parent. A widget with the 'source' option gets its original
+		 * options back too, plus the loaded options that are selected. The collapsed state of
+		 * 'collapsible_groups' option groups is forgotten.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.destroy = function() {
+			if (this.mutation_observer != null) {
+				this.mutation_observer.disconnect();
+				this.mutation_observer = null;
+			}
+			// Make any pending remote request outdated, so its response is ignored.
+			this.remote_request_count++;
+			clearTimeout(this.remote_search_timer);
+			
+			this.unbindPositionHandlers();
+			this.unbindFormHandlers();
+			if (this.parent_select_box != null) {
+				// Make any pending 'depends_loader' call outdated, and give the <select> element its original options and disabled state back.
+				this.dependent_request_count++;
+				this.parent_select_box.off('change.styledSelectDependent', this.parent_change_handler);
+				var value = this.linked_select_box.val();
+				this.linked_select_box.empty().append(this.dependent_options.clone()).val(value);
+				this.setDependentDisabled(false);
+			}
+			else if (this.source_options != null) {
+				// Give the <select> element its original options back, along with the selected options loaded from the 'source'.
+				var select_box = this.linked_select_box;
+				var selected_options = select_box.find('option').filter(function() {
+					return this.selected;
+				});
+				select_box.empty().append(this.source_options.clone());
+				select_box.find('option').prop('selected', false);
+				selected_options.each(function(index, selected_option) {
+					var option = select_box.find('option').filter(function() {
+						return this.value == selected_option.value;
+					});
+					if (option.length == 0) {
+						option = $(selected_option).appendTo(select_box);
+					}
+					option.prop('selected', true);
+				});
+			}
+			this.linked_select_box.find('optgroup').removeData('styled_select_collapsed');
+			this.replacement_container_div.remove();
+			this.error_div.remove();
+			if (this.portal_div != null) {
+				this.portal_div.remove();
+			}
+			this.linked_select_box
+				.off('change.styledSelect keyup.styledSelect keydown.styledSelect invalid.styledSelect')
+				.removeClass('original_select_now_styled styled-select-full-replacement')
+				.removeData('styled_select');
+			this.linked_select_box.find('option[data-styled-select-retained]').removeAttr('data-styled-select-retained');
+			if (this.linked_select_box.attr('class') === '') {
+				this.linked_select_box.removeAttr('class');
+			}
+			
+			if (this.original_tabindex != null) {
+				this.linked_select_box.attr('tabindex', this.original_tabindex);
+			}
+			else {
+				this.linked_select_box.removeAttr('tabindex');
+			}
+			if (this.original_style != null) {
+				this.linked_select_box.attr('style', this.original_style);
+			}
+			else {
+				this.linked_select_box.removeAttr('style');
+			}
+			
+			if (window_resize_handler != null && $('div.styled_select.styled-select-full-replacement').length == 0) {
+				$(window).off('resize.styledSelect', window_resize_handler);
+				window_resize_handler = null;
+			}
+		}
+		
+		/**
+		 * Gives the replacement_container_div <div> of a fully replaced widget the
+		 * accessible name of the linked_select_box <select> element: 'aria-labelledby'
+		 * pointing at its `<label for>` element(s), or its own 'aria-labelledby' or
+		 * 'aria-label' attribute. A label without an id lends its text as 'aria-label'.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.labelReplacement = function() {
+			var select_id = this.linked_select_box.attr('id');
+			var labels = (select_id ? $('label').filter(function() { return $(this).attr('for') == select_id; }) : $());
+			if (labels.length > 0 && labels.filter('[id]').length == labels.length) {
+				this.replacement_container_div.attr('aria-labelledby', labels.map(function() { return this.id; }).get().join(' '));
+			}
+			else if (labels.length > 0) {
+				this.replacement_container_div.attr('aria-label', $.trim(labels.text()));
+			}
+			else if (this.linked_select_box.attr('aria-labelledby') != null) {
+				this.replacement_container_div.attr('aria-labelledby', this.linked_select_box.attr('aria-labelledby'));
+			}
+			else if (this.linked_select_box.attr('aria-label') != null) {
+				this.replacement_container_div.attr('aria-label', this.linked_select_box.attr('aria-label'));
+			}
+		}
+		
+		/**
+		 * Mirrors the ':valid' and ':invalid' states of the linked_select_box <select>
+		 * element as the 'styled-select-valid' and 'styled-select-invalid' classes on the
+		 * replacement_container_div <div>. Once the browser has reported the <select>
+		 * element invalid, its 'validationMessage' is also shown in the error_div <div>.
+		 * Does nothing in browsers without constraint validation.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.updateValidity = function() {
+			var select_box = this.linked_select_box.get(0);
+			if (select_box.validity == null) {
+				return;
+			}
+			var valid = (select_box.willValidate && select_box.validity.valid);
+			var invalid = (select_box.willValidate && ! select_box.validity.valid);
+			this.replacement_container_div
+				.toggleClass('styled-select-valid', valid)
+				.toggleClass('styled-select-invalid', invalid);
+			if (this.replacement_options_div != null) {
+				this.replacement_container_div.attr('aria-invalid', (invalid && this.show_validation ? 'true' : 'false'));
+			}
+			if (invalid && this.show_validation) {
+				this.error_div.text(select_box.validationMessage).show();
+			}
+			else {
+				this.error_div.text('').hide();
+			}
+		}
+		
+		/**
+		 * Shows the validation error when the browser reports the linked_select_box
+		 * <select> element invalid. The browser can't point its own message at the
+		 * hidden <select> element of a fully replaced widget, so it is suppressed, and
+		 * the widget is focused instead if it is the first invalid control of its form.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		event				jQuery.Event				jQuery 'invalid' Event
+		 */
+		this.reportInvalid = function(event) {
+			this.show_validation = true;
+			this.updateValidity();
+			if (this.replacement_options_div == null) {
+				return;
+			}
+			event.preventDefault();
+			
+			var select_box = this.linked_select_box.get(0);
+			var controls = (select_box.form != null ? select_box.form.elements : [select_box]);
+			for (var i = 0; i < controls.length; i++) {
+				if (controls[i].willValidate && controls[i].validity != null && ! controls[i].validity.valid) {
+					if (controls[i] == select_box) {
+						this.focus();
+					}
+					return;
+				}
+			}
+		}
+		
+		/**
+		 * Resyncs the widget when the form of the linked_select_box <select> element is
+		 * reset, and makes clicks on the <label> elements of a fully replaced widget
+		 * focus it, as they would focus a regular <select> element.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.bindFormHandlers = function() {
+			this.unbindFormHandlers();
+			this.form_handlers = {
+				reset : $.proxy(function() {
+					// The 'reset' event fires before the form resets its controls.
+					setTimeout($.proxy(function() {
+						if (this.linked_select_box.data('styled_select') !== this) {
+							return;
+						}
+						this.show_validation = false;
+						if (this.replacement_options_div != null && this.replacement_options_div.hasClass('show')) {
+							this.undoIntermediateChanges();
+						}
+						this.setCurrentSelectedTextAndValue();
+					}, this), 0);
+				}, this),
+				click : $.proxy(function(event) {
+					if ($(event.target).closest(this.replacement_container_div.add(this.portal_div)).length > 0) {
+						// A click inside a widget wrapped in its label.
+						return;
+					}
+					event.preventDefault();
+					this.focus();
+				}, this)
+			};
+			
+			var form = this.linked_select_box.prop('form');
+			this.parent_form = (form != null ? $(form) : $());
+			this.parent_form.on('reset.styledSelect', this.form_handlers.reset);
+			
+			this.linked_labels = $();
+			if (this.replacement_options_div != null) {
+				var select_id = this.linked_select_box.attr('id');
+				this.linked_labels = (select_id ? $('label').filter(function() { return $(this).attr('for') == select_id; }) : $())
+										.add(this.linked_select_box.closest('label'));
+				this.linked_labels.on('click.styledSelect', this.form_handlers.click);
+			}
+		}
+		
+		/**
+		 * Removes the handlers added by bindFormHandlers().
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.unbindFormHandlers = function() {
+			if (this.form_handlers == null) {
+				return;
+			}
+			this.parent_form.off('reset.styledSelect', this.form_handlers.reset);
+			this.linked_labels.off('click.styledSelect', this.form_handlers.click);
+			this.parent_form = null;
+			this.linked_labels = null;
+			this.form_handlers = null;
+		}
+		
+		/**
+		 * Determines whether the user is on a touch device: one whose primary pointer is
+		 * coarse, or, in browsers that can't tell, one that supports touch events.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @returns		Boolean
+		 */
+		this.isTouchDevice = function() {
+			if (window.matchMedia != null &&
+				(window.matchMedia('(pointer: coarse)').matches || window.matchMedia('(pointer: fine)').matches)) {
+				return window.matchMedia('(pointer: coarse)').matches;
+			}
+			return ('ontouchstart' in window || (window.navigator.maxTouchPoints || 0) > 0);
+		}
+		
+		/**
+		 * Rebuilds the widget from the current state of the linked_select_box <select>
+		 * element: re-renders the list of options of a fully replaced widget (re-applying
+		 * the current search), updates the selected text and resizes the widget.
+		 *
+		 * Called automatically when the <option> and <optgroup> elements change. Call it
+		 * through the 'refresh' method after changes that can't be observed, like setting
+		 * the 'value' or 'selectedIndex' of the <select> element directly.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.refresh = function() {
+			if (this.replacement_options_div != null) {
+				this.renderOptions();
+				if (this.searchable && this.options.source == null) {
+					this.filterOptions(this.search_input.val());
+				}
+			}
+			this.setCurrentSelectedTextAndValue();
+			this.updateDisabledState();
+			this.resize();
+		}
+		
+		/**
+		 * Adds the 'styled-select-disabled' class to the replacement_container_div <div>
+		 * when the linked_select_box <select> element is disabled, and removes it when it
+		 * is not. A disabled fully replaced widget also drops out of the tab order and
+		 * cancels any change the user was making.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.updateDisabledState = function() {
+			var disabled = (this.linked_select_box.prop('disabled') == true);
+			this.replacement_container_div.toggleClass('styled-select-disabled', disabled);
+			if (this.replacement_options_div != null) {
+				this.replacement_container_div.attr({
+					tabindex : (disabled ? -1 : this.enabled_tabindex),
+					'aria-disabled' : (disabled ? 'true' : 'false')
+				});
+				if (disabled) {
+					this.undoIntermediateChanges();
+				}
+			}
+			// Disabled <select> elements are neither valid nor invalid.
+			this.updateValidity();
+		}
+		
+		/**
+		 * Disables or enables both the linked_select_box <select> element and the
+		 * replacement widget.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		disabled				Boolean				Whether to disable the widget
+		 */
+		this.setDisabled = function(disabled) {
+			if (this.parent_select_box != null) {
+				// Keep the widget disabled while its parent has no value.
+				this.author_disabled = (disabled == true);
+				disabled = (this.author_disabled || this.dependent_disabled);
+			}
+			this.linked_select_box.prop('disabled', disabled == true);
+			this.ignoreOwnMutations();
+			this.updateDisabledState();
+		}
+		
+		/**
+		 * Shows the list of options of a fully replaced widget, unless it is disabled.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.open = function() {
+			if (this.replacement_options_div != null && ! this.linked_select_box.prop('disabled')) {
+				this.showOptions();
+			}
+		}
+		
+		/**
+		 * Hides the list of options of a fully replaced widget, discarding the change
+		 * the user was making, if any.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.close = function() {
+			if (this.replacement_options_div == null) {
+				return;
+			}
+			if (this.replacement_options_div.data('new_option') != null) {
+				this.undoIntermediateChanges();
+			}
+			else {
+				this.hideOptions();
+			}
+		}
+		
+		/**
+		 * Shows the list of options of a fully replaced widget if it is hidden, and
+		 * hides it if it is shown.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.toggle = function() {
+			if (this.replacement_options_div != null && this.replacement_options_div.hasClass('show')) {
+				this.close();
+			}
+			else {
+				this.open();
+			}
+		}
+		
+		/**
+		 * Moves the focus to the widget: the replacement_container_div <div> of a
+		 * fully replaced widget, or the linked_select_box <select> element otherwise.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.focus = function() {
+			if (this.replacement_options_div != null) {
+				this.replacement_container_div.focus();
+			}
+			else {
+				this.linked_select_box.focus();
+			}
+		}
+		
+		/**
+		 * Selects the given value(s) in the linked_select_box <select> element and
+		 * updates the widget, discarding the change the user was making, if any.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		value					mixed				A value, or an array of values for multi-select widgets
+		 * @param		trigger_change			Boolean				Whether to trigger the 'change' event on the <select> element
+		 */
+		this.setValue = function(value, trigger_change) {
+			if (this.replacement_options_div != null) {
+				this.setHighlight(-1);
+				this.replacement_options_div.removeData('current_option');
+				this.replacement_options_div.removeData('new_option');
+			}
+			this.linked_select_box.val(value);
+			if (trigger_change == true) {
+				this.linked_select_box.trigger('change');
+			}
+			else {
+				this.setCurrentSelectedTextAndValue();
+			}
+		}
+		
+		/**
+		 * Starts watching the linked_select_box <select> element for added, removed,
+		 * renamed or disabled <option> and <optgroup> elements, and for a changed
+		 * 'required' attribute, refreshing the widget whenever they change. Does nothing
+		 * in browsers without MutationObserver support.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.observeSelectBox = function() {
+			if (window.MutationObserver == null) {
+				return;
+			}
+			this.mutation_observer = new window.MutationObserver($.proxy(function(mutations) {
+				this.refresh();
+			}, this));
+			this.mutation_observer.observe(this.linked_select_box.get(0), {
+				childList : true,
+				subtree : true,
+				characterData : true,
+				attributes : true,
+				attributeFilter : ['disabled', 'label', 'value', 'selected', 'required']
+			});
+		}
+		
+		/**
+		 * Discards the changes to the linked_select_box <select> element the widget
+		 * has made itself, so they don't trigger another refresh.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.ignoreOwnMutations = function() {
+			if (this.mutation_observer != null) {
+				this.mutation_observer.takeRecords();
+			}
+		}
+		
+		/**
+		 * Generate a list of <div> elements that contain the <optgroup> and <option>
+		 * elements from the original <select> element, and add them to the
+		 * 'replacement_container_div's DOM.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.0
+		 * @updated		2.1
+		 */
+		this.generateOptions = function() {
+			this.replacement_options_div = $('<div></div>').addClass('styled_select_options_container').attr({
+				id : this.aria_id + 'Listbox',
+				role : 'listbox'
+			});
+			if (this.multiple) {
+				this.replacement_options_div.attr('aria-multiselectable', 'true');
+			}
+			
+			if (this.searchable) {
+				this.search_input = $('<input type="text" autocomplete="off" />').addClass('styled_select_search_input').attr({
+					'aria-autocomplete' : 'list',
+					'aria-controls' : this.aria_id + 'Listbox',
+					'aria-label' : this.getText('search')
+				});
+				this.no_results_div = $('<div></div>').addClass('styled_select_no_results').attr('role', 'status').text(this.getText('no_results'));
+				this.replacement_options_div
+					.prepend($('<div></div>').addClass('styled_select_search').attr('role', 'presentation').append(this.search_input))
+					.append(this.no_results_div);
+				if (this.options.creatable) {
+					this.create_div = $('<div></div>').addClass('styled_select_create').attr({
+						id : this.aria_id + 'Create',
+						role : 'option'
+					});
+					this.replacement_options_div
+						.append(this.create_div)
+						.on('mousemove.styledSelect', 'div.styled_select_create', $.proxy(function(event) {
+							if (! this.create_highlighted) {
+								this.highlightCreateRow();
+							}
+						}, this));
+				}
+				this.search_input.on('input.styledSelect keyup.styledSelect', $.proxy(function(event) {
+					if (this.search_input.val() != this.search_input.data('last_search')) {
+						this.search_input.data('last_search', this.search_input.val());
+						if (this.options.source != null) {
+							// Remote options are searched by the 'source', once the user stops typing.
+							clearTimeout(this.remote_search_timer);
+							this.remote_search_timer = setTimeout($.proxy(function() {
+								this.loadRemoteOptions($.trim(this.search_input.val()), 1);
+							}, this), this.options.source_delay);
+						}
+						else {
+							this.filterOptions(this.search_input.val());
+						}
+					}
+				}, this));
+			}
+			
+			if (this.options.recent > 0 || this.options.pinned) {
+				// The sections repeat options of the list, which screen readers move through instead.
+				this.shortcuts_div = $('<div></div>').addClass('styled_select_shortcuts').attr('aria-hidden', 'true');
+				if (this.searchable) {
+					this.search_input.parent().after(this.shortcuts_div);
+				}
+				else {
+					this.replacement_options_div.prepend(this.shortcuts_div);
+				}
+			}
+			
+			// Moving the mouse over an option highlights it, like in a regular <select> element.
+			this.replacement_options_div.on('mousemove.styledSelect', 'div.option', $.proxy(function(event) {
+				var index = this.getOptionIndex($(event.currentTarget));
+				if (index != -1 && index != this.highlighted_index && ! this.option_model[index].disabled && ! this.option_model[index].filtered) {
+					this.setHighlight(index, true);
+				}
+			}, this));
+			
+			if (this.options.collapsible_groups) {
+				this.replacement_container_div.addClass('styled-select-collapsible-groups');
+				this.replacement_options_div.on('mousemove.styledSelect', 'div.optgroup_label', $.proxy(function(event) {
+					var group_index = parseInt($(event.currentTarget).attr('data-group-index'), 10);
+					if (group_index != this.highlighted_group) {
+						this.highlightGroup(group_index);
+					}
+				}, this));
+			}
+			
+			if (this.virtualize) {
+				this.replacement_container_div.addClass('styled-select-virtualized');
+				this.replacement_options_div.on('scroll.styledSelect', $.proxy(function(event) {
+					this.renderVirtualRows();
+				}, this));
+			}
+			
+			if (this.options.source != null) {
+				this.source_options = this.linked_select_box.children().clone();
+				this.status_div = $('<div></div>').addClass('styled_select_status').attr('role', 'status');
+				this.replacement_options_div
+					.append(this.status_div)
+					.on('scroll.styledSelect', $.proxy(this.loadMoreRemoteOptions, this));
+			}
+			
+			if (this.options.append_to != null) {
+				// Move the list of options out of containers that would clip it. The portal
+				// gets the classes of the widget right away, so the scoped CSS rules already
+				// match before the list is first positioned.
+				this.portal_div = $('<div></div>')
+					.attr('class', this.replacement_container_div.attr('class'))
+					.addClass('styled-select-portal')
+					.attr('dir', this.rtl ? 'rtl' : 'ltr')
+					.append(this.replacement_options_div)
+					.appendTo($(this.options.append_to).first());
+			}
+			else {
+				this.replacement_container_div.append(this.replacement_options_div);
+			}
+			this.renderOptions();
+		}
+		
+		/**
+		 * (Re)creates the 'div.optgroup' and 'div.option' elements of the list of options
+		 * from the current <optgroup> and <option> elements of the original <select>
+		 * element, keeping the search input, create and status rows in place, and restores
+		 * the highlighted option. Collapsed option groups are collapsed again, and the
+		 * pinned and recent sections are rebuilt without the values that are gone.
+		 *
+		 * Virtualized widgets only keep the in-memory 'option_model' and render the
+		 * rows currently scrolled into view.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.renderOptions = function() {
+			var highlighted_entry = this.option_model[this.highlighted_index];
+			this.buildOptionModel();
+			if (this.shortcuts_div != null) {
+				this.pruneStoredValues();
+			}
+			this.replacement_options_div.children('div.option, div.optgroup, div.styled_select_virtual_rows').remove();
+			
+			var replacement_options;
+			if (this.virtualize) {
+				this.virtual_rows_div = $('<div></div>').addClass('styled_select_virtual_rows').attr('role', 'presentation');
+				replacement_options = this.virtual_rows_div;
+			}
+			else {
+				var replacement_options_html = this.linked_select_box.html();
+				replacement_options_html = replacement_options_html
+											.replace(/\<option/gi, '<div class="option"')
+											.replace(/\<\/option/gi, '</div')
+											.replace(/\<optgroup/gi, '<div class="optgroup"')
+											.replace(/\<\/optgroup/gi, '</div');
+				replacement_options = $('<div></div>').html(replacement_options_html).children();
+				var replacement_optgroups = replacement_options.filter('div.optgroup');
+				for (var group_index = 0; group_index < this.group_model.length; group_index++) {
+					var group_label = $('<div></div>').html(this.getGroupHtml(group_index)).addClass('optgroup_label').attr({
+						id : this.aria_id + 'Group' + group_index,
+						'data-group-index' : group_index
+					});
+					replacement_optgroups.eq(group_index)
+						.toggleClass('disabled', this.group_model[group_index].disabled)
+						.attr({role: 'group', 'aria-labelledby': this.aria_id + 'Group' + group_index})
+						.prepend(group_label);
+				}
+			}
+			
+			var trailing_row = this.replacement_options_div.children('div.styled_select_no_results, div.styled_select_create, div.styled_select_status').first();
+			if (trailing_row.length > 0) {
+				trailing_row.before(replacement_options);
+			}
+			else {
+				this.replacement_options_div.append(replacement_options);
+			}
+			
+			if (this.virtualize) {
+				this.option_elements = null;
+				this.refreshVirtualRows();
+			}
+			else {
+				this.option_elements = this.replacement_options_div.find('div.option');
+				for (var i = 0; i < this.option_model.length; i++) {
+					if (this.options.option_template != null) {
+						this.option_elements.eq(i).html(this.getOptionHtml(i));
+					}
+					this.option_elements.eq(i)
+						.toggleClass('disabled', this.option_model[i].disabled)
+						.attr({
+							id : this.aria_id + 'Option' + i,
+							role : 'option',
+							'aria-disabled' : (this.option_model[i].disabled ? 'true' : 'false')
+						});
+					if (this.options.pinned) {
+						this.updatePinControl(i);
+					}
+				}
+				// Selected options kept only to submit their value are not part of the latest remote results.
+				this.option_elements.filter('[data-styled-select-retained]').addClass('styled-select-filtered-out');
+				this.updateCollapsedGroups();
+			}
+			
+			this.highlighted_index = -1;
+			if (highlighted_entry != null) {
+				var highlighted_index = this.findOptionIndex(highlighted_entry.value);
+				this.setHighlight(highlighted_index);
+				if (this.replacement_options_div.data('new_option') != null && highlighted_index != -1) {
+					this.replacement_options_div.data('new_option', this.getOptionElement(highlighted_index));
+				}
+			}
+			this.renderShortcuts();
+			this.markSelectedOptions();
+		}
+		
+		/**
+		 * Builds the in-memory 'option_model' and 'group_model' from the <option> and
+		 * <optgroup> elements of the original <select> element. Options inside a
+		 * disabled <optgroup> are disabled too.
+		 *
+		 * In 'collapsible_groups' mode an <optgroup> starts out collapsed when it has a
+		 * 'data-styled-select-collapsed="true"' attribute, and keeps the state the user
+		 * gave it when the list is rebuilt.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.buildOptionModel = function() {
+			var option_model = [];
+			var group_model = [];
+			
+			var addOption = function(option, group_index) {
+				option_model.push({
+					index : option_model.length,
+					value : option.value,
+					text : option.text,
+					element : option,
+					group_index : group_index,
+					disabled : (option.disabled || (group_index != -1 && group_model[group_index].disabled)),
+					retained : (option.getAttribute('data-styled-select-retained') != null),
+					filtered : (option.getAttribute('data-styled-select-retained') != null),
+					match_html : null
+				});
+			};
+			
+			var collapsible = (this.options.collapsible_groups == true);
+			var children = this.linked_select_box.get(0).children;
+			for (var i = 0; i < children.length; i++) {
+				if (children[i].nodeName.toLowerCase() == 'optgroup') {
+					var group_index = group_model.length;
+					var collapsed = $(children[i]).data('styled_select_collapsed');
+					if (collapsed == null) {
+						collapsed = (children[i].getAttribute('data-styled-select-collapsed') == 'true');
+					}
+					group_model.push({label: children[i].label, element: children[i], disabled: children[i].disabled, collapsed: (collapsible && collapsed)});
+					for (var j = 0; j < children[i].children.length; j++) {
+						addOption(children[i].children[j], group_index);
+					}
+				}
+				else if (children[i].nodeName.toLowerCase() == 'option') {
+					addOption(children[i], -1);
+				}
+			}
+			
+			this.option_model = option_model;
+			this.group_model = group_model;
+		}
+		
+		/**
+		 * Finds the 'option_model' index of the first option with the given value.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		value					String				The value of an <option> element
+		 *
+		 * @returns		Number				The index, or -1 if no option has that value
+		 */
+		this.findOptionIndex = function(value) {
+			if (value == null) {
+				return -1;
+			}
+			for (var i = 0; i < this.option_model.length; i++) {
+				if (this.option_model[i].value == value) {
+					return i;
+				}
+			}
+			return -1;
+		}
+		
+		/**
+		 * Returns the 'div.option' element for the given 'option_model' index. The
+		 * rows of a virtualized widget only exist while scrolled into view, so a
+		 * detached copy of the row is returned for any other option.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 *
+		 * @returns		jQuery
+		 */
+		this.getOptionElement = function(index) {
+			if (index == null || this.option_model[index] == null) {
+				return $();
+			}
+			if (! this.virtualize) {
+				return this.option_elements.eq(index);
+			}
+			var rendered_option = this.virtual_rows_div.children('div.option[data-index="'+index+'"]');
+			return (rendered_option.length > 0 ? rendered_option : $(this.getVirtualRowHtml({option: index})));
+		}
+		
+		/**
+		 * Returns the 'option_model' index of the given 'div.option' element.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		option					jQuery				jQuery extended 'div.option' element
+		 *
+		 * @returns		Number				The index, or -1 if the element is not an option of this widget
+		 */
+		this.getOptionIndex = function(option) {
+			if (option == null || option.length == 0) {
+				return -1;
+			}
+			if (! this.virtualize) {
+				return this.option_elements.index(option);
+			}
+			return (option.attr('data-index') != null ? parseInt(option.attr('data-index'), 10) : -1);
+		}
+		
+		/**
+		 * Moves the 'highlight' class to the option at the given 'option_model' index,
+		 * or removes it from every option when the index is -1, and remembers it as
+		 * the 'highlighted_index'. The option is scrolled into view, unless the mouse
+		 * highlighted it. The highlighted option becomes the 'aria-activedescendant' of
+		 * the widget (and its search input). The 'styled_select_create' row and the
+		 * label of an option group lose their highlight.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option to highlight
+		 * @param		keep_scroll				Boolean				Optional. Whether to leave the scroll position of the list alone.
+		 */
+		this.setHighlight = function(index, keep_scroll) {
+			this.highlighted_index = index;
+			if (this.create_div != null) {
+				this.create_highlighted = false;
+				this.create_div.removeClass('highlight');
+			}
+			if (this.highlighted_group != -1) {
+				this.highlighted_group = -1;
+				this.replacement_options_div.find('div.optgroup_label.highlight').removeClass('highlight');
+			}
+			if (index != -1 && keep_scroll !== true) {
+				this.scrollToOption(index);
+			}
+			if (this.virtualize) {
+				this.virtual_rows_div.children('div.option.highlight').removeClass('highlight');
+				if (index != -1) {
+					this.getOptionElement(index).addClass('highlight');
+				}
+			}
+			else {
+				this.option_elements.filter('.highlight').removeClass('highlight');
+				if (index != -1) {
+					this.option_elements.eq(index).addClass('highlight');
+				}
+			}
+			
+			var active_descendant = (index != -1 ? this.aria_id + 'Option' + index : null);
+			this.replacement_container_div.attr('aria-activedescendant', active_descendant);
+			if (this.searchable) {
+				this.search_input.attr('aria-activedescendant', active_descendant);
+			}
+		}
+		
+		/**
+		 * Escapes the given text for use in HTML.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		text					String				The text to escape
+		 *
+		 * @returns		String
+		 */
+		this.escapeHtml = function(text) {
+			return String(text)
+					.replace(/&/g, '&amp;')
+					.replace(/</g, '&lt;')
+					.replace(/>/g, '&gt;')
+					.replace(/"/g, '&quot;');
+		}
+		
+		/**
+		 * Calls the given template callback for an <option> or <optgroup> element of
+		 * the linked_select_box <select> element, with the <select> element as 'this'.
+		 * Without a template, the given text is used instead.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		template				Function			The 'option_template', 'group_template' or 'selection_template' option, or null
+		 * @param		element					HTMLElement			The <option> or <optgroup> element to render
+		 * @param		text					String				The text used when there is no template
+		 *
+		 * @returns		String				The HTML returned by the template, the HTML of the DOM node(s) it returned, or the escaped text
+		 */
+		this.renderTemplate = function(template, element, text) {
+			if (template == null) {
+				return this.escapeHtml(text);
+			}
+			var content = template.call(this.linked_select_box.get(0), element);
+			if (content == null) {
+				return '';
+			}
+			if (typeof content == 'string') {
+				return content;
+			}
+			return $('<div></div>').append(content).html();
+		}
+		
+		/**
+		 * Returns the HTML of the option at the given 'option_model' index in the list
+		 * of options, as rendered by the 'option_template' option.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 *
+		 * @returns		String
+		 */
+		this.getOptionHtml = function(index) {
+			var entry = this.option_model[index];
+			return this.renderTemplate(this.options.option_template, entry.element, entry.text);
+		}
+		
+		/**
+		 * Returns the HTML of the label of the option group at the given 'group_model'
+		 * index, as rendered by the 'group_template' option.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'group_model' index of the option group
+		 *
+		 * @returns		String
+		 */
+		this.getGroupHtml = function(index) {
+			var group = this.group_model[index];
+			return this.renderTemplate(this.options.group_template, group.element, group.label);
+		}
+		
+		/**
+		 * Returns the HTML shown in the 'styled_select_option_display' <div> element for
+		 * the given selected <option> element, as rendered by the 'selection_template' option.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		option					HTMLElement			<option> element
+		 *
+		 * @returns		String
+		 */
+		this.getSelectionHtml = function(option) {
+			if (option == null) {
+				return '';
+			}
+			return this.renderTemplate(this.options.selection_template, option, option.text);
+		}
+		
+		/**
+		 * Shows the given <option> element of a single-select widget in the
+		 * 'styled_select_option_display' <div> element. An option with an empty value,
+		 * or no option at all, is an empty selection: the widget gets the
+		 * 'styled-select-empty' class, and shows the 'placeholder' (with the
+		 * 'styled-select-placeholder' class) if there is one.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		option					HTMLElement			<option> element, or null
+		 */
+		this.displaySelection = function(option) {
+			var empty = (option == null || option.value === '');
+			var show_placeholder = (empty && this.placeholder != null);
+			if (show_placeholder) {
+				this.selected_option_div.text(this.placeholder);
+			}
+			else {
+				this.selected_option_div.html(this.getSelectionHtml(option));
+			}
+			this.replacement_container_div
+				.toggleClass('styled-select-empty', empty)
+				.toggleClass('styled-select-placeholder', show_placeholder);
+		}
+		
+		/**
+		 * Resets the linked_select_box <select> element to its empty option (or to no
+		 * option at all if it has none, or no selected options for a multi-select widget)
+		 * and triggers the 'change' event. Disabled widgets are left alone.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.clearSelection = function() {
+			if (this.linked_select_box.prop('disabled')) {
+				return;
+			}
+			if (this.replacement_options_div == null) {
+				// Without the replacement list of options there is nothing pending to discard.
+				this.linked_select_box.val(this.multiple ? [] : '').trigger('change');
+				return;
+			}
+			this.triggerValueChange(this.multiple ? [] : '');
+		}
+		
+		/**
+		 * Rebuilds the list of rows a virtualized widget can show (a label row for
+		 * each <optgroup> followed by its options, leaving out options hidden by the
+		 * search or by a collapsed group, and groups left without options) and renders
+		 * the ones in view.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.refreshVirtualRows = function() {
+			var virtual_rows = [];
+			var last_group_index = -1;
+			for (var i = 0; i < this.option_model.length; i++) {
+				var entry = this.option_model[i];
+				if (entry.filtered) {
+					continue;
+				}
+				if (entry.group_index != -1 && entry.group_index != last_group_index) {
+					virtual_rows.push({group: entry.group_index});
+				}
+				last_group_index = entry.group_index;
+				if (! this.isGroupCollapsed(entry.group_index)) {
+					virtual_rows.push({option: i});
+				}
+			}
+			this.virtual_rows = virtual_rows;
+			this.renderVirtualRows();
+		}
+		
+		/**
+		 * Builds the HTML of one row of a virtualized widget.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		row						Object				An element of 'virtual_rows': {group: index} or {option: index}
+		 *
+		 * @returns		String
+		 */
+		this.getVirtualRowHtml = function(row) {
+			if (row.group != null) {
+				var group = this.group_model[row.group];
+				var label_classes = 'optgroup_label';
+				if (group.disabled) {
+					label_classes += ' disabled';
+				}
+				if (this.isGroupCollapsed(row.group)) {
+					label_classes += ' styled-select-collapsed';
+				}
+				if (row.group == this.highlighted_group) {
+					label_classes += ' highlight';
+				}
+				if (row.sticky) {
+					label_classes += ' styled-select-sticky';
+				}
+				return '<div class="' + label_classes + '" id="' + this.aria_id + 'Group' + row.group + '" data-group-index="' + row.group + '"' +
+							' role="presentation"' +
+							(this.options.collapsible_groups ? ' aria-expanded="' + (this.isGroupCollapsed(row.group) ? 'false' : 'true') + '"' : '') + '>' +
+							this.getGroupHtml(row.group) +
+						'</div>';
+			}
+			var entry = this.option_model[row.option];
+			var classes = 'option';
+			if (entry.element.selected) {
+				classes += ' selected';
+			}
+			if (entry.disabled) {
+				classes += ' disabled';
+			}
+			if (entry.index == this.highlighted_index) {
+				classes += ' highlight';
+			}
+			if (this.options.pinned && this.isPinned(entry.index)) {
+				classes += ' styled-select-pinned';
+			}
+			// Only some rows are rendered, so tell screen readers the size of the whole list.
+			return '<div class="' + classes + '" value="' + this.escapeHtml(entry.value) + '" data-index="' + entry.index + '"' +
+						' id="' + this.aria_id + 'Option' + entry.index + '" role="option"' +
+						' aria-selected="' + (entry.element.selected ? 'true' : 'false') + '"' +
+						' aria-disabled="' + (entry.disabled ? 'true' : 'false') + '"' +
+						' aria-setsize="' + this.option_model.length + '" aria-posinset="' + (entry.index + 1) + '">' +
+						this.getPinHtml(entry.index) +
+						(entry.match_html != null ? entry.match_html : this.getOptionHtml(entry.index)) +
+					'</div>';
+		}
+		
+		/**
+		 * Renders the rows of a virtualized widget that are in view, plus
+		 * 'virtual_buffer' rows above and below them. The rows before and after
+		 * them are replaced by padding, so the scroll height stays that of the
+		 * full list. When the first rendered row is an option inside an <optgroup>,
+		 * the label of that group is rendered in place of the row before it, so that
+		 * it can stay pinned at the top of the list.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		first_row				Number				Optional index in 'virtual_rows' of the first row in view.
+		 * 																Defaults to the row at the current scroll position.
+		 */
+		this.renderVirtualRows = function(first_row) {
+			if (! this.virtualize || this.virtual_rows_div == null) {
+				return;
+			}
+			
+			var row_height = this.options.virtual_row_height;
+			var options_div = this.replacement_options_div.get(0);
+			var view_height = (options_div.clientHeight || parseInt(this.replacement_options_div.css('maxHeight'), 10) || 300);
+			var rows_in_view = Math.ceil(view_height / row_height);
+			if (first_row == null) {
+				first_row = Math.floor(Math.max(options_div.scrollTop - this.virtual_rows_div.get(0).offsetTop, 0) / row_height);
+			}
+			
+			var start = Math.max(first_row - this.options.virtual_buffer, 0);
+			var end = Math.min(first_row + rows_in_view + this.options.virtual_buffer, this.virtual_rows.length);
+			var rows_html = [];
+			var padding_rows = start;
+			var first_entry = this.option_model[start < end ? this.virtual_rows[start].option : -1];
+			if (start > 0 && first_entry != null && first_entry.group_index != -1) {
+				// The label row itself is above the rendered rows, so render it in place of the row before them.
+				rows_html.push(this.getVirtualRowHtml({group: first_entry.group_index, sticky: true}));
+				padding_rows--;
+			}
+			for (var i = start; i < end; i++) {
+				rows_html.push(this.getVirtualRowHtml(this.virtual_rows[i]));
+			}
+			this.virtual_rows_div
+				.html(rows_html.join(''))
+				.css({paddingTop: (padding_rows * row_height) + 'px',
+					  paddingBottom: (Math.max(this.virtual_rows.length - end, 0) * row_height) + 'px'});
+		}
+		
+		/**
+		 * Scrolls the list of options so that the option at the given 'option_model'
+		 * index is in view, below the search input of a searchable widget and the label
+		 * of its option group. Virtualized widgets also render it.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 */
+		this.scrollToOption = function(index) {
+			if (index == null || index == -1) {
+				return;
+			}
+			
+			var options_div = this.replacement_options_div.get(0);
+			var option_top;
+			var option_height;
+			if (this.virtualize) {
+				var row = -1;
+				for (var i = 0; i < this.virtual_rows.length; i++) {
+					if (this.virtual_rows[i].option == index) {
+						row = i;
+						break;
+					}
+				}
+				if (row == -1) {
+					return;
+				}
+				if (options_div.clientHeight == 0) {
+					// The list of options is hidden, so it can't scroll.
+					this.renderVirtualRows(row);
+					return;
+				}
+				option_height = this.options.virtual_row_height;
+				option_top = this.virtual_rows_div.get(0).offsetTop + (row * option_height);
+			}
+			else {
+				var option = this.option_elements.eq(index);
+				if (option.length == 0 || options_div.clientHeight == 0) {
+					return;
+				}
+				option_height = option.outerHeight();
+				option_top = option.offset().top - this.replacement_options_div.offset().top - options_div.clientTop + options_div.scrollTop;
+			}
+			
+			var header_height = (this.searchable ? this.search_input.parent().outerHeight() : 0);
+			if (this.option_model[index].group_index != -1) {
+				// Keep the option clear of the label of its group, pinned at the top of the list.
+				header_height += (this.virtualize ?
+								  this.options.virtual_row_height :
+								  this.replacement_options_div.find('div.optgroup_label').first().outerHeight());
+			}
+			if (option_top - header_height < options_div.scrollTop) {
+				options_div.scrollTop = option_top - header_height;
+			}
+			else if (option_top + option_height > options_div.scrollTop + options_div.clientHeight) {
+				options_div.scrollTop = option_top + option_height - options_div.clientHeight;
+			}
+			if (this.virtualize) {
+				this.renderVirtualRows();
+			}
+		}
+		
+		/**
+		 * Loads a page of options from the 'source' option, which is either a URL
+		 * returning JSON or a function returning (a promise of) the options. Both are
+		 * given the search text as 'query', the 1-based 'page' and the 'page_size'
+		 * (as the 'q', 'page' and 'page_size' request parameters for a URL), and
+		 * return an array of {value, text, group} objects, or an object with such an
+		 * array as 'items' and a 'more' flag indicating whether another page exists.
+		 * Without the flag, a full page is assumed to have a next page.
+		 *
+		 * Loading the first page replaces the <option> elements of the original <select>
+		 * element, except selected ones, which are kept so that the form still submits
+		 * their value. Later pages are added to them. Responses to outdated requests are
+		 * ignored, and the 'loading' or 'load_error' text is shown while loading
+		 * or after a failure.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		query					String				The search text, or '' for every option
+		 * @param		page					Number				The 1-based page of options to load
+		 */
+		this.loadRemoteOptions = function(query, page) {
+			var params = {query: query, page: page, page_size: this.options.source_page_size};
+			var request;
+			if (typeof this.options.source == 'function') {
+				request = this.options.source.call(this.linked_select_box.get(0), params);
+			}
+			else {
+				request = $.ajax({
+					url : this.options.source,
+					dataType : 'json',
+					data : {q: query, page: page, page_size: this.options.source_page_size}
+				});
+			}
+			
+			if (request == null || typeof request.then != 'function') {
+				request = $.Deferred().resolve(request).promise();
+			}
+			
+			var request_number = ++this.remote_request_count;
+			this.remote_loading = true;
+			this.status_div.removeClass('styled-select-error').addClass('styled-select-loading show').text(this.getText('loading'));
+			
+			request.then($.proxy(function(response) {
+				if (request_number != this.remote_request_count) {
+					return;
+				}
+				var items = ($.isArray(response) ? response : (response != null && response.items != null ? response.items : []));
+				this.remote_loading = false;
+				this.remote_loaded = true;
+				this.remote_query = query;
+				this.remote_page = page;
+				this.remote_has_more = (response != null && response.more != null ? response.more == true : items.length >= this.options.source_page_size);
+				this.status_div.removeClass('styled-select-loading show').empty();
+				this.addRemoteOptions(items, page == 1);
+			}, this), $.proxy(function() {
+				if (request_number != this.remote_request_count) {
+					return;
+				}
+				this.remote_loading = false;
+				this.status_div.removeClass('styled-select-loading').addClass('styled-select-error show').text(this.getText('load_error'));
+			}, this));
+		}
+		
+		/**
+		 * Adds the given remotely loaded options to the original <select> element,
+		 * inside an <optgroup> with the item's 'group' label if it has one, then
+		 * re-renders the list of options.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		items					Array				{value, text, group} objects
+		 * @param		replace					Boolean				Whether the options replace the current ones (except selected ones)
+		 */
+		this.addRemoteOptions = function(items, replace) {
+			var select_box = this.linked_select_box;
+			if (replace) {
+				select_box.find('option').each(function(index, option) {
+					if (option.selected) {
+						$(option).attr('data-styled-select-retained', 'true');
+					}
+					else {
+						$(option).remove();
+					}
+				});
+				select_box.find('optgroup').each(function(index, optgroup) {
+					if ($(optgroup).children('option').length == 0) {
+						$(optgroup).remove();
+					}
+				});
+			}
+			
+			this.appendOptionItems(items);
+			this.ignoreOwnMutations();
+			this.renderOptions();
+			if (this.searchable) {
+				this.filterOptions(this.search_input.val());
+			}
+		}
+		
+		/**
+		 * Adds an <option> element to the original <select> element for each of the
+		 * given items, inside an <optgroup> with the item's 'group' label if it has one.
+		 * Items whose value already has an <option> element are skipped.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		items					Array				{value, text, group} objects
+		 */
+		this.appendOptionItems = function(items) {
+			var select_box = this.linked_select_box;
+			$.each(items, function(index, item) {
+				var existing_option = select_box.find('option').filter(function() {
+					return this.value == String(item.value);
+				});
+				if (existing_option.length > 0) {
+					existing_option.removeAttr('data-styled-select-retained');
+					return;
+				}
+				
+				var option = $('<option></option>').val(item.value).text(item.text);
+				var parent = select_box;
+				if (item.group != null && item.group !== '') {
+					parent = select_box.children('optgroup').filter(function() {
+						return $(this).attr('label') == item.group;
+					}).first();
+					if (parent.length == 0) {
+						parent = $('<optgroup></optgroup>').attr('label', item.group).appendTo(select_box);
+					}
+				}
+				parent.append(option);
+			});
+		}
+		
+		/**
+		 * Loads the next page of remote options when the list of options has been
+		 * scrolled to the bottom and more options are available.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		event					jQuery.Event		jQuery 'scroll' Event
+		 */
+		this.loadMoreRemoteOptions = function(event) {
+			if (! this.remote_has_more || this.remote_loading) {
+				return;
+			}
+			var options_div = this.replacement_options_div.get(0);
+			if (options_div.scrollTop + options_div.clientHeight >= options_div.scrollHeight - this.options.source_scroll_threshold) {
+				this.loadRemoteOptions(this.remote_query, this.remote_page + 1);
+			}
+		}
+		
+		/**
+		 * Links a widget with the 'depends_on' option to its parent <select> element:
+		 * keeps copies of its original options, and updates them now and whenever the
+		 * value of the parent changes.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.bindParentSelectBox = function() {
+			this.dependent_options = this.linked_select_box.children().clone();
+			this.author_disabled = (this.linked_select_box.prop('disabled') == true);
+			// A namespace of its own, so that destroying the parent widget leaves this handler bound.
+			this.parent_change_handler = $.proxy(function() {
+				this.updateDependentOptions(true);
+			}, this);
+			this.parent_select_box.on('change.styledSelectDependent', this.parent_change_handler);
+			this.updateDependentOptions(false);
+		}
+		
+		/**
+		 * Updates the options of a widget with the 'depends_on' option for the current
+		 * value of the parent_select_box. The options are filtered by their (or their
+		 * <optgroup>'s) 'data-parent-value' attribute, or loaded by the 'depends_loader'
+		 * option, which is disabled until they arrive. Options without the attribute
+		 * are always kept. While the parent has no value, the widget is disabled.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		reset					Boolean				Whether to reset the value, rather than keeping it if it is still available
+		 */
+		this.updateDependentOptions = function(reset) {
+			var parent_value = this.parent_select_box.val();
+			var parent_values = $.grep([].concat(parent_value == null ? [] : parent_value), function(value) {
+				return value !== '';
+			});
+			var kept_value = (reset ? null : this.linked_select_box.val());
+			var request_number = ++this.dependent_request_count;
+			
+			if (this.options.depends_loader == null || parent_values.length == 0) {
+				this.rebuildDependentOptions(parent_values, [], kept_value);
+				return;
+			}
+			
+			var request = this.options.depends_loader.call(this.linked_select_box.get(0), parent_value);
+			if (request == null || typeof request.then != 'function') {
+				request = $.Deferred().resolve(request).promise();
+			}
+			// Don't let the user pick one of the options of the previous parent value.
+			this.setDependentDisabled(true);
+			request.then($.proxy(function(response) {
+				if (request_number != this.dependent_request_count) {
+					return;
+				}
+				var items = ($.isArray(response) ? response : (response != null && response.items != null ? response.items : []));
+				this.rebuildDependentOptions(parent_values, items, kept_value);
+			}, this), $.proxy(function() {
+				if (request_number != this.dependent_request_count) {
+					return;
+				}
+				this.rebuildDependentOptions(parent_values, [], kept_value);
+			}, this));
+		}
+		
+		/**
+		 * Replaces the options of the original <select> element with the copies of its
+		 * original options that apply to the given parent values, followed by the given
+		 * loaded items, and selects the given value if it is still available. Otherwise
+		 * the option with an empty value (or the first option) is selected. Triggers the
+		 * 'change' event when the value changed, so that the change ripples down to the
+		 * widgets depending on this one.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		parent_values			Array				The non-empty value(s) of the parent_select_box
+		 * @param		items					Array				{value, text, group} objects from the 'depends_loader'
+		 * @param		kept_value				mixed				The value(s) to keep selected, or null
+		 */
+		this.rebuildDependentOptions = function(parent_values, items, kept_value) {
+			var select_box = this.linked_select_box;
+			var old_value = select_box.val();
+			var applies = function(element) {
+				var parent_value = element.attr('data-parent-value');
+				return (parent_value == null || $.inArray(parent_value, parent_values) != -1);
+			};
+			
+			select_box.empty();
+			this.dependent_options.each(function(index, element) {
+				var copy = $(element).clone();
+				if (! applies(copy)) {
+					return;
+				}
+				copy.find('option').filter(function() {
+					return ! applies($(this));
+				}).remove();
+				if (copy.is('optgroup') && copy.children('option').length == 0) {
+					return;
+				}
+				select_box.append(copy);
+			});
+			this.appendOptionItems(items);
+			
+			if (this.multiple) {
+				select_box.val(kept_value == null ? [] : kept_value);
+			}
+			else {
+				var selected_option = select_box.find('option').filter(function() {
+					return kept_value != null && this.value == kept_value;
+				});
+				if (selected_option.length == 0) {
+					selected_option = select_box.find('option').filter(function() {
+						return this.value == '';
+					});
+				}
+				if (selected_option.length == 0) {
+					selected_option = select_box.find('option');
+				}
+				selected_option.first().prop('selected', true);
+			}
+			
+			this.ignoreOwnMutations();
+			this.setDependentDisabled(parent_values.length == 0);
+			this.refresh();
+			if (String(old_value) != String(select_box.val())) {
+				select_box.trigger('change');
+			}
+		}
+		
+		/**
+		 * Disables or enables a widget with the 'depends_on' option on top of the state
+		 * the page gave it, which is kept: the widget only becomes enabled again when
+		 * the page didn't disable it.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		disabled				Boolean				Whether the widget depends on a parent without a value
+		 */
+		this.setDependentDisabled = function(disabled) {
+			if (! this.dependent_disabled) {
+				// The page may have changed the 'disabled' property itself since.
+				this.author_disabled = (this.linked_select_box.prop('disabled') == true);
+			}
+			this.dependent_disabled = (disabled == true);
+			this.setDisabled(this.author_disabled);
+		}
+		
+		/**
+		 * Reads the 'recent' and 'pinned' values of the widget from the storage adapter
+		 * of the 'storage' option, or from localStorage (with an in-memory fallback), under
+		 * the 'storage_key' option or a key made from the id of the <select> element.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.loadStoredValues = function() {
+			this.storage = (this.options.storage != null ? this.options.storage : getDefaultStorage());
+			this.storage_key = this.options.storage_key;
+			if (this.storage_key == null && this.linked_select_box.attr('id')) {
+				this.storage_key = 'styledSelect.' + this.linked_select_box.attr('id');
+			}
+			if (this.storage_key == null) {
+				return;
+			}
+			
+			var stored = null;
+			try {
+				stored = $.parseJSON(this.storage.getItem(this.storage_key));
+			}
+			catch (error) {
+				// Unreadable values are started over.
+			}
+			if (stored != null) {
+				this.recent_values = $.map($.isArray(stored.recent) ? stored.recent : [], String);
+				this.pinned_values = $.map($.isArray(stored.pinned) ? stored.pinned : [], String);
+			}
+		}
+		
+		/**
+		 * Writes the 'recent' and 'pinned' values of the widget to its storage adapter,
+		 * if it has a storage key. A storage that is full or refuses to store anything
+		 * only keeps the values from lasting beyond the page.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.saveStoredValues = function() {
+			if (this.storage_key == null) {
+				return;
+			}
+			try {
+				this.storage.setItem(this.storage_key, JSON.stringify({recent: this.recent_values, pinned: this.pinned_values}));
+			}
+			catch (error) {
+				// The values are still kept by the widget.
+			}
+		}
+		
+		/**
+		 * Drops the recent and pinned values that no <option> element has anymore, and
+		 * stores the rest. Options loaded from a remote 'source' come and go with the
+		 * search, so their values are kept.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.pruneStoredValues = function() {
+			if (this.options.source != null) {
+				return;
+			}
+			var exists = $.proxy(function(value) {
+				return (this.findOptionIndex(value) != -1);
+			}, this);
+			var recent_values = $.grep(this.recent_values, exists);
+			var pinned_values = $.grep(this.pinned_values, exists);
+			if (recent_values.length != this.recent_values.length || pinned_values.length != this.pinned_values.length) {
+				this.recent_values = recent_values;
+				this.pinned_values = pinned_values;
+				this.saveStoredValues();
+			}
+		}
+		
+		/**
+		 * Adds the given picked values to the front of the recent values, keeping no
+		 * more than the 'recent' option allows, and updates the recent section.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		values					Array				The values the user picked
+		 */
+		this.rememberRecentValues = function(values) {
+			if (! (this.options.recent > 0)) {
+				return;
+			}
+			var recent_values = this.recent_values;
+			$.each(values, function(index, value) {
+				value = String(value);
+				if (value === '') {
+					// The empty option is no choice to come back to.
+					return;
+				}
+				recent_values = $.grep(recent_values, function(recent_value) {
+					return recent_value != value;
+				});
+				recent_values.unshift(value);
+			});
+			this.recent_values = recent_values.slice(0, this.options.recent);
+			this.saveStoredValues();
+			this.renderShortcuts();
+		}
+		
+		/**
+		 * Returns whether the option at the given 'option_model' index is pinned through
+		 * a 'data-styled-select-pinned' attribute, which the user can't unpin.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 *
+		 * @returns		Boolean
+		 */
+		this.isFixedPin = function(index) {
+			var pinned = this.option_model[index].element.getAttribute('data-styled-select-pinned');
+			return (pinned != null && pinned != 'false');
+		}
+		
+		/**
+		 * Returns whether the option at the given 'option_model' index is pinned, by
+		 * the user or through a 'data-styled-select-pinned' attribute.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 *
+		 * @returns		Boolean
+		 */
+		this.isPinned = function(index) {
+			return (this.isFixedPin(index) || $.inArray(this.option_model[index].value, this.pinned_values) != -1);
+		}
+		
+		/**
+		 * Pins the option at the given 'option_model' index, or unpins it if the user
+		 * pinned it before, then stores the pinned values and updates the pinned section.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 */
+		this.togglePinned = function(index) {
+			if (! this.options.pinned || this.option_model[index] == null || this.isFixedPin(index)) {
+				return;
+			}
+			var value = this.option_model[index].value;
+			if ($.inArray(value, this.pinned_values) != -1) {
+				this.pinned_values = $.grep(this.pinned_values, function(pinned_value) {
+					return pinned_value != value;
+				});
+			}
+			else {
+				this.pinned_values.push(value);
+			}
+			this.saveStoredValues();
+			if (this.virtualize) {
+				this.renderVirtualRows();
+			}
+			else {
+				this.updatePinControl(index);
+			}
+			this.renderShortcuts();
+		}
+		
+		/**
+		 * Returns the HTML of the 'styled_select_pin' control that pins or unpins the
+		 * option at the given 'option_model' index. Empty and disabled options, and options
+		 * pinned through an attribute, get none.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 *
+		 * @returns		String
+		 */
+		this.getPinHtml = function(index) {
+			if (! this.options.pinned || this.option_model[index].value === '' || this.option_model[index].disabled || this.isFixedPin(index)) {
+				return '';
+			}
+			var text = this.escapeHtml(this.getText(this.isPinned(index) ? 'unpin' : 'pin'));
+			return '<span class="styled_select_pin" role="button" title="' + text + '" aria-label="' + text + '"></span>';
+		}
+		
+		/**
+		 * Replaces the 'styled_select_pin' control of the 'div.option' element at the
+		 * given 'option_model' index, and gives the element the 'styled-select-pinned'
+		 * class while the option is pinned.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		index					Number				The 'option_model' index of the option
+		 */
+		this.updatePinControl = function(index) {
+			var option = this.option_elements.eq(index);
+			option.children('span.styled_select_pin').remove();
+			option
+				.prepend(this.getPinHtml(index))
+				.toggleClass('styled-select-pinned', this.isPinned(index));
+		}
+		
+		/**
+		 * Fills the 'styled_select_shortcuts' <div> element with the pinned section,
+		 * followed by the recent section without the pinned values. Values without an
+		 * enabled <option> element are left out, and so are both sections while the user
+		 * searches.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.renderShortcuts = function() {
+			if (this.shortcuts_div == null) {
+				return;
+			}
+			
+			var pinned_indexes = [];
+			var recent_indexes = [];
+			if (! this.searchable || $.trim(this.search_input.val()) == '') {
+				for (var i = 0; i < this.option_model.length && this.options.pinned; i++) {
+					if (this.isFixedPin(i)) {
+						pinned_indexes.push(i);
+					}
+				}
+				for (var j = 0; j < this.pinned_values.length && this.options.pinned; j++) {
+					var pinned_index = this.findOptionIndex(this.pinned_values[j]);
+					if (pinned_index != -1 && $.inArray(pinned_index, pinned_indexes) == -1) {
+						pinned_indexes.push(pinned_index);
+					}
+				}
+				for (var k = 0; k < this.recent_values.length && this.options.recent > 0; k++) {
+					var recent_index = this.findOptionIndex(this.recent_values[k]);
+					if (recent_index != -1 && $.inArray(recent_index, pinned_indexes) == -1) {
+						recent_indexes.push(recent_index);
+					}
+				}
+			}
+			
+			var styled_select = this;
+			var getSectionHtml = function(name, indexes) {
+				var rows_html = '';
+				$.each(indexes, function(index, option_index) {
+					var entry = styled_select.option_model[option_index];
+					if (! entry.disabled) {
+						rows_html += '<div class="styled_select_shortcut' + (entry.element.selected ? ' selected' : '') + '" data-index="' + option_index + '">' +
+										styled_select.getOptionHtml(option_index) +
+									 '</div>';
+					}
+				});
+				if (rows_html == '') {
+					return '';
+				}
+				return '<div class="styled_select_section styled_select_section_' + name + '">' +
+							'<div class="styled_select_section_label">' + styled_select.escapeHtml(styled_select.getText(name)) + '</div>' +
+							rows_html +
+						'</div>';
+			};
+			var sections_html = getSectionHtml('pinned', pinned_indexes) + getSectionHtml('recent', recent_indexes);
+			this.shortcuts_div.html(sections_html).toggleClass('show', sections_html != '');
+		}
+		
+		/**
+		 * Filters the list of options of a searchable widget, hiding every 'div.option'
+		 * element whose text does not contain the search text (ignoring case and diacritics)
+		 * and every 'div.optgroup' element left without a visible option. The matched part
+		 * of each visible option's text is wrapped in a 'styled_select_match' <span> (unless
+		 * an 'option_template' renders the options), the 'styled_select_no_results' row is
+		 * shown when nothing matches, and the first visible option is highlighted so that
+		 * Enter picks it. A 'creatable' widget shows its 'styled_select_create' row instead
+		 * of the 'styled_select_no_results' row. Collapsed option groups are expanded while
+		 * the search text is not empty.
+		 *
+		 * An empty search text restores the full list of options. Options loaded from a
+		 * remote 'source' are only highlighted, since the 'source' does the filtering.
+		 *
+		 * The search runs against the 'option_model', so virtualized widgets only
+		 * re-render the rows in view. The pinned and recent sections are hidden while
+		 * searching.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		search_text				String				The text typed into the search input
+		 */
+		this.filterOptions = function(search_text) {
+			var normalized_search = this.normalizeText($.trim(search_text));
+			var remote = (this.options.source != null);
+			
+			for (var index = 0; index < this.option_model.length; index++) {
+				var entry = this.option_model[index];
+				if (entry.retained) {
+					continue;
+				}
+				entry.match_html = null;
+				entry.filtered = false;
+				
+				if (normalized_search != '') {
+					// Map each position of the normalized text back to the original text to wrap the match.
+					var text = entry.text;
+					var normalized_text = '';
+					var original_positions = [];
+					for (var i = 0; i < text.length; i++) {
+						var normalized_character = this.normalizeText(text.charAt(i));
+						for (var j = 0; j < normalized_character.length; j++) {
+							normalized_text += normalized_character.charAt(j);
+							original_positions.push(i);
+						}
+					}
+					original_positions.push(text.length);
+					
+					var match_index = normalized_text.indexOf(normalized_search);
+					if (match_index == -1) {
+						// The 'source' already did the filtering of remote options, so leave them visible.
+						entry.filtered = ! remote;
+					}
+					else if (this.options.option_template == null) {
+						// Templated options are shown as rendered, without emphasizing the match.
+						var match_start = original_positions[match_index];
+						var match_end = original_positions[match_index + normalized_search.length];
+						entry.match_html = this.escapeHtml(text.substring(0, match_start)) +
+										   '<span class="styled_select_match">' + this.escapeHtml(text.substring(match_start, match_end)) + '</span>' +
+										   this.escapeHtml(text.substring(match_end));
+					}
+				}
+				
+				if (! this.virtualize) {
+					var option = this.option_elements.eq(index);
+					if (option.data('original_html') == null) {
+						option.data('original_html', option.html());
+					}
+					option
+						.html(entry.match_html != null ? entry.match_html : option.data('original_html'))
+						.toggleClass('styled-select-filtered-out', entry.filtered);
+					if (this.options.pinned) {
+						this.updatePinControl(index);
+					}
+				}
+			}
+			
+			if (this.virtualize) {
+				this.refreshVirtualRows();
+			}
+			else {
+				this.updateCollapsedGroups();
+				this.replacement_options_div.find('div.optgroup').each(function(index, optgroup) {
+					optgroup = $(optgroup);
+					optgroup.toggleClass('styled-select-filtered-out', optgroup.find('div.option').not('.styled-select-filtered-out').length == 0);
+				});
+			}
+			
+			// The pinned and recent sections make way for the search results.
+			this.renderShortcuts();
+			var navigable_indexes = this.getNavigableIndexes();
+			var create_shown = this.updateCreateRow(search_text);
+			this.no_results_div.toggleClass('show', navigable_indexes.length == 0 && ! create_shown);
+			
+			if (create_shown && navigable_indexes.length == 0) {
+				this.highlightCreateRow();
+			}
+			else if (normalized_search != '' && navigable_indexes.length > 0) {
+				var first_option = this.getOptionElement(navigable_indexes[0]);
+				if (this.multiple) {
+					this.highlightOption(first_option);
+				}
+				else {
+					this.triggerIntermediaryChange(this.getOptionElement(this.findOptionIndex(this.current_value)), first_option);
+				}
+			}
+		}
+		
+		/**
+		 * Returns the 'option_model' indexes of the options the user can currently move
+		 * to with the keyboard, in document order: every option that is not disabled,
+		 * not hidden by the search filter and not in a collapsed option group.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @returns		Array
+		 */
+		this.getNavigableIndexes = function() {
+			var navigable_indexes = [];
+			for (var i = 0; i < this.option_model.length; i++) {
+				if (! this.option_model[i].filtered && ! this.option_model[i].disabled && ! this.isGroupCollapsed(this.option_model[i].group_index)) {
+					navigable_indexes.push(i);
+				}
+			}
+			return navigable_indexes;
+		}
+		
+		/**
+		 * Returns the number of options a PageUp or PageDown key press moves by: the
+		 * number of rows in view, less one, or 10 while the list of options is hidden.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @returns		Number
+		 */
+		this.getPageSize = function() {
+			var list_height = this.replacement_options_div.get(0).clientHeight;
+			var row_height = (this.virtualize ?
+							  this.options.virtual_row_height :
+							  this.option_elements.not('.styled-select-filtered-out').first().outerHeight());
+			if (! list_height || ! row_height) {
+				return 10;
+			}
+			return Math.max(Math.floor(list_height / row_height) - 1, 1);
+		}
+		
+		/**
+		 * Closes the shown list of options with Enter, Space or Alt+Up. A single-select
+		 * widget selects the highlighted option (or the option the user moved to),
+		 * unless it is hidden by the search filter.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.commitHighlightedOption = function() {
+			var new_option = (this.highlighted_index != -1 ?
+							  this.getOptionElement(this.highlighted_index) :
+							  this.replacement_options_div.data('new_option'));
+			if (! this.multiple && new_option != null && new_option.length > 0 && ! this.isOptionFilteredOut(new_option)) {
+				this.triggerValueChange(new_option.attr('value'));
+			}
+			else {
+				this.undoIntermediateChanges();
+			}
+		}
+		
+		/**
+		 * Determines whether the given 'div.option' element is currently hidden by the
+		 * search filter.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		option					jQuery				jQuery extended 'div.option' element
+		 *
+		 * @returns		Boolean
+		 */
+		this.isOptionFilteredOut = function(option) {
+			var index = this.getOptionIndex(option);
+			return (index != -1 && this.option_model[index].filtered);
+		}
+		
+		/**
+		 * Shows the 'styled_select_create' row of a 'creatable' widget, with the
+		 * 'create' text for the given search text, when the search text is not empty
+		 * and matches no option exactly (ignoring case and diacritics). Hides it otherwise.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		search_text				String				The text typed into the search input
+		 *
+		 * @returns		Boolean				Whether the row is shown
+		 */
+		this.updateCreateRow = function(search_text) {
+			if (this.create_div == null) {
+				return false;
+			}
+			var text = $.trim(search_text);
+			var normalized_text = this.normalizeText(text);
+			var shown = (text != '');
+			for (var i = 0; shown && i < this.option_model.length; i++) {
+				if (this.normalizeText(this.option_model[i].text) == normalized_text) {
+					shown = false;
+				}
+			}
+			
+			this.create_div
+				.text(this.getText('create').replace('%s', function() { return text; }))
+				.toggleClass('show', shown);
+			if (! shown && this.create_highlighted) {
+				this.setHighlight(-1);
+			}
+			return shown;
+		}
+		
+		/**
+		 * Highlights the 'styled_select_create' row, so that Enter creates the option,
+		 * and discards the option the user had moved to.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.highlightCreateRow = function() {
+			this.setHighlight(-1);
+			if (! this.multiple && this.replacement_options_div.data('new_option') != null) {
+				this.replacement_options_div.removeData('new_option');
+				this.setCurrentSelectedTextAndValue();
+			}
+			this.create_highlighted = true;
+			this.create_div.addClass('highlight');
+			this.replacement_container_div.attr('aria-activedescendant', this.aria_id + 'Create');
+			this.search_input.attr('aria-activedescendant', this.aria_id + 'Create');
+		}
+		
+		/**
+		 * Adds an <option> element with the given text to the linked_select_box <select>
+		 * element and the list of options, triggers the 'create' event and selects the
+		 * new option. The 'create_filter' option can normalize the text first, or reject
+		 * it. If an option with the resulting value already exists, it is selected instead.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		text					String				The text typed into the search input
+		 */
+		this.createOption = function(text) {
+			var item = {value: $.trim(text), text: $.trim(text)};
+			if (this.options.create_filter != null) {
+				var result = this.options.create_filter.call(this.linked_select_box.get(0), item.text);
+				if (result == null || result === false || result === '') {
+					// Rejected.
+					return;
+				}
+				item = (typeof result == 'object' ?
+						{value: String(result.value != null ? result.value : result.text), text: String(result.text != null ? result.text : result.value)} :
+						{value: String(result), text: String(result)});
+			}
+			if (item.value == '') {
+				return;
+			}
+			
+			if (this.findOptionIndex(item.value) == -1) {
+				var option = $('<option></option>').val(item.value).text(item.text).appendTo(this.linked_select_box);
+				this.ignoreOwnMutations();
+				this.renderOptions();
+				this.triggerEvent('create', {value: item.value, text: item.text, option: option.get(0)});
+			}
+			
+			this.search_input.val('').data('last_search', '');
+			this.filterOptions('');
+			if (this.multiple) {
+				var selected_values = this.linked_select_box.val() || [];
+				if ($.inArray(item.value, selected_values) == -1) {
+					this.triggerValueChange(selected_values.concat([item.value]));
+				}
+				this.highlightOption(this.getOptionElement(this.findOptionIndex(item.value)));
+			}
+			else {
+				this.triggerValueChange(item.value);
+			}
+		}
+		
+		/**
+		 * Determines whether the options of the given option group are hidden, because
+		 * it is collapsed in 'collapsible_groups' mode. Every group is expanded while
+		 * the user searches, so that no matching option stays hidden.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		group_index				Number				The 'group_model' index of the <optgroup>, or -1
+		 *
+		 * @returns		Boolean
+		 */
+		this.isGroupCollapsed = function(group_index) {
+			if (group_index == -1 || this.group_model[group_index] == null || ! this.group_model[group_index].collapsed) {
+				return false;
+			}
+			return ! (this.searchable && $.trim(this.search_input.val()) != '');
+		}
+		
+		/**
+		 * Adds the 'styled-select-collapsed' class to each 'div.optgroup' element (and
+		 * its label) whose options are hidden, removes it from the others, and sets the
+		 * 'aria-expanded' state of the labels. Virtualized widgets rebuild their rows.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.updateCollapsedGroups = function() {
+			if (! this.options.collapsible_groups) {
+				return;
+			}
+			if (this.virtualize) {
+				this.refreshVirtualRows();
+				return;
+			}
+			var optgroups = this.replacement_options_div.find('div.optgroup');
+			for (var group_index = 0; group_index < this.group_model.length; group_index++) {
+				var collapsed = this.isGroupCollapsed(group_index);
+				optgroups.eq(group_index)
+					.toggleClass('styled-select-collapsed', collapsed)
+					.children('div.optgroup_label')
+						.toggleClass('styled-select-collapsed', collapsed)
+						.attr('aria-expanded', (collapsed ? 'false' : 'true'));
+			}
+		}
+		
+		/**
+		 * Highlights the label of the given option group in 'collapsible_groups' mode,
+		 * so that Enter expands or collapses it, and discards the option the user had
+		 * moved to.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		group_index				Number				The 'group_model' index of the <optgroup>
+		 */
+		this.highlightGroup = function(group_index) {
+			this.setHighlight(-1);
+			if (! this.multiple && this.replacement_options_div.data('new_option') != null) {
+				this.replacement_options_div.removeData('new_option');
+				this.setCurrentSelectedTextAndValue();
+			}
+			this.highlighted_group = group_index;
+			this.replacement_options_div.find('div.optgroup_label[data-group-index="' + group_index + '"]').addClass('highlight');
+			this.replacement_container_div.attr('aria-activedescendant', this.aria_id + 'Group' + group_index);
+			if (this.searchable) {
+				this.search_input.attr('aria-activedescendant', this.aria_id + 'Group' + group_index);
+			}
+		}
+		
+		/**
+		 * Expands the given collapsed option group, or collapses the given expanded one,
+		 * in 'collapsible_groups' mode. The state is kept on the <optgroup> element, so
+		 * that it survives rebuilding the list of options.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		group_index				Number				The 'group_model' index of the <optgroup>
+		 */
+		this.toggleGroup = function(group_index) {
+			var group = this.group_model[group_index];
+			if (group == null || ! this.options.collapsible_groups) {
+				return;
+			}
+			group.collapsed = ! group.collapsed;
+			$(group.element).data('styled_select_collapsed', group.collapsed);
+			if (group.collapsed && this.highlighted_index != -1 && this.option_model[this.highlighted_index].group_index == group_index) {
+				// The highlighted option is no longer visible, so move the highlight to its group's label.
+				this.highlightGroup(group_index);
+			}
+			this.updateCollapsedGroups();
+			if (this.highlighted_group != -1) {
+				this.replacement_options_div.find('div.optgroup_label[data-group-index="' + this.highlighted_group + '"]').addClass('highlight');
+			}
+		}
+		
+		/**
+		 * Returns the stops of keyboard navigation in 'collapsible_groups' mode, in
+		 * document order: the label of every option group with a visible option, and
+		 * every navigable option.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @returns		Array				{group: index} and {option: index} objects
+		 */
+		this.getNavigableStops = function() {
+			var navigable_indexes = this.getNavigableIndexes();
+			// Look the indexes up by key, rather than searching the array for every option.
+			var navigable = {};
+			for (var n = 0; n < navigable_indexes.length; n++) {
+				navigable[navigable_indexes[n]] = true;
+			}
+			var stops = [];
+			var last_group_index = -1;
+			for (var i = 0; i < this.option_model.length; i++) {
+				var entry = this.option_model[i];
+				if (entry.filtered) {
+					continue;
+				}
+				if (entry.group_index != -1 && entry.group_index != last_group_index) {
+					stops.push({group: entry.group_index});
+				}
+				last_group_index = entry.group_index;
+				if (navigable[i] === true) {
+					stops.push({option: i});
+				}
+			}
+			return stops;
+		}
+		
+		/**
+		 * Shows the list of options of a fully replaced widget. Searchable widgets
+		 * clear their previous search and move the focus to the search input, and
+		 * widgets with a remote 'source' load their first page of options. The list is
+		 * positioned to fit the viewport, and kept there while it is shown. Triggers
+		 * the 'open' event. Single-select widgets highlight their selected option, unless
+		 * it is in a collapsed option group. The labels of option groups are pinned below
+		 * the search input.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.showOptions = function() {
+			if (this.replacement_options_div.hasClass('show')) {
+				return;
+			}
+			
+			this.replacement_options_div.addClass('show');
+			this.replacement_container_div.attr('aria-expanded', 'true');
+			if (this.searchable) {
+				this.search_input.val('').data('last_search', '');
+				this.filterOptions('');
+				this.search_input.focus();
+				var options_style = this.replacement_options_div.get(0).style;
+				if (options_style.setProperty != null) {
+					options_style.setProperty('--styled-select-sticky-top', this.search_input.parent().outerHeight() + 'px');
+				}
+			}
+			this.positionOptions();
+			this.bindPositionHandlers();
+			this.triggerEvent('open', {});
+			
+			if (this.virtualize) {
+				this.renderVirtualRows();
+			}
+			// The list could not be scrolled while it was hidden.
+			var shown_index = (this.highlighted_index != -1 ? this.highlighted_index : this.findOptionIndex(this.multiple ? null : this.current_value));
+			if (! this.multiple && this.highlighted_index == -1 && shown_index != -1 && ! this.option_model[shown_index].filtered &&
+				! this.isGroupCollapsed(this.option_model[shown_index].group_index)) {
+				// Like a regular <select> element, start from the selected option.
+				this.setHighlight(shown_index);
+			}
+			this.scrollToOption(shown_index);
+			
+			if (this.options.source != null && (! this.remote_loaded || this.remote_query != '')) {
+				// Load the first page of remote options, or reload it after a search.
+				this.loadRemoteOptions('', 1);
+			}
+		}
+		
+		/**
+		 * Hides the list of options of a fully replaced widget, moving the focus back
+		 * to the widget if it was in the search input. The search is cleared, so that
+		 * the keyboard navigation of the closed widget reaches every option again, as
+		 * it does on a regular <select> element. Triggers the 'close' event if the list
+		 * was shown.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.hideOptions = function() {
+			var shown = this.replacement_options_div.hasClass('show');
+			this.replacement_options_div.removeClass('show');
+			this.unbindPositionHandlers();
+			this.replacement_container_div
+				.removeClass('styled-select-open-above')
+				.attr('aria-expanded', 'false');
+			if (this.searchable && this.search_input.is(':focus')) {
+				this.replacement_container_div.focus();
+			}
+			if (this.searchable && this.search_input.val() != '') {
+				clearTimeout(this.remote_search_timer);
+				this.search_input.val('').data('last_search', '');
+				this.filterOptions('');
+			}
+			if (shown) {
+				this.triggerEvent('close', {});
+			}
+		}
+		
+		/**
+		 * Positions the shown list of options of a fully replaced widget. It opens below
+		 * the widget, or above it (with the 'styled-select-open-above' class) when it
+		 * doesn't fit below and there is more room above. Its 'max-height' is limited to
+		 * the room on that side of the widget, and to half the height of the viewport.
+		 *
+		 * When the 'append_to' option moved the list out of the widget, the 'portal_div'
+		 * is also moved to the edge of the widget and given its width and classes.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.positionOptions = function() {
+			if (this.replacement_options_div == null || ! this.replacement_options_div.hasClass('show')) {
+				return;
+			}
+			
+			var widget = this.replacement_container_div.get(0);
+			var widget_rect = widget.getBoundingClientRect();
+			var viewport_height = $(window).height();
+			var room_below = viewport_height - widget_rect.bottom - 4;
+			var room_above = widget_rect.top - 4;
+			
+			this.replacement_options_div.css({maxHeight: 'none'});
+			var natural_height = this.replacement_options_div.outerHeight();
+			var open_above = (natural_height > room_below && room_above > room_below);
+			this.replacement_container_div.toggleClass('styled-select-open-above', open_above);
+			this.replacement_options_div.css({maxHeight: Math.max(Math.min(open_above ? room_above : room_below, viewport_height / 2), 0)+'px'});
+			
+			if (this.portal_div != null) {
+				var widget_offset = this.replacement_container_div.offset();
+				var parent = this.portal_div.offsetParent();
+				var parent_offset = {top: 0, left: 0};
+				if (! parent.is('html, body')) {
+					parent_offset = parent.offset();
+					parent_offset.top += parent.get(0).clientTop - parent.scrollTop();
+					parent_offset.left += parent.get(0).clientLeft - parent.scrollLeft();
+				}
+				this.portal_div
+					.attr('class', this.replacement_container_div.attr('class'))
+					.addClass('styled-select-portal')
+					.css({
+						top : (widget_offset.top - parent_offset.top + widget.clientTop + (open_above ? 0 : this.replacement_container_div.innerHeight()))+'px',
+						left : (widget_offset.left - parent_offset.left + widget.clientLeft)+'px',
+						width : this.replacement_container_div.innerWidth()+'px'
+					});
+			}
+		}
+		
+		/**
+		 * Repositions the list of options while it is shown whenever the window or one
+		 * of the scrolling ancestors of the widget scrolls or resizes.
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.bindPositionHandlers = function() {
+			this.unbindPositionHandlers();
+			this.position_handler = $.proxy(this.positionOptions, this);
+			this.scroll_parents = this.replacement_container_div.parents().filter(function() {
+				var element = $(this);
+				return /(auto|scroll)/.test(element.css('overflow') + element.css('overflow-y') + element.css('overflow-x'));
+			});
+			this.scroll_parents.on('scroll.styledSelect', this.position_handler);
+			$(window).on('scroll.styledSelect resize.styledSelect', this.position_handler);
+		}
+		
+		/**
+		 * Removes the handlers added by bindPositionHandlers().
+		 *
+		 * @access		public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.unbindPositionHandlers = function() {
+			if (this.position_handler == null) {
+				return;
+			}
+			this.scroll_parents.off('scroll.styledSelect', this.position_handler);
+			$(window).off('scroll.styledSelect resize.styledSelect', this.position_handler);
+			this.scroll_parents = null;
+			this.position_handler = null;
+		}
+		
+		/**
+		 * Adds the 'selected' class to each 'div.option' element whose matching <option>
+		 * element in the linked_select_box <select> element is selected, and removes it
+		 * from the rest, updating their 'aria-selected' attribute to match. Options are
+		 * matched by position, since multiple <option> elements may share the same value.
+		 * The rows of the pinned and recent sections are marked too.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 */
+		this.markSelectedOptions = function() {
+			if (this.replacement_options_div == null) {
+				return;
+			}
 			
-			if (full_replacement) {
-				// Full replacement widgets require extra event handlers
-				this.replacement_container_div
-					.on('click.styledSelect', $.proxy(this.simulateSelectBoxEvent, this))
-					.on('keydown.styledSelect', $.proxy(this.simulateSelectBoxEvent, this))
-					.on('focusout.styledSelect', $.proxy(this.simulateSelectBoxEvent, this));
-				var current_window_events = $.data($(window).get(0), 'events');
-				var add_window_resize_options_event = true;
-				if (current_window_events != null) {
-					$.each(current_window_events, function(guid, definition) {
-						if (guid == 'resize' && definition[0].namespace == 'styledSelect') {
-							add_window_resize_options_event = false;
-						}
-					});
-				}
-				
-				if (add_window_resize_options_event) {
-					$(window).on('resize.styledSelect', this.resizeOptions);
-					this.resizeOptions();
-				}
+			var option_model = this.option_model;
+			if (this.shortcuts_div != null) {
+				this.shortcuts_div.find('div.styled_select_shortcut').each(function(index, shortcut) {
+					var entry = option_model[parseInt($(shortcut).attr('data-index'), 10)];
+					$(shortcut).toggleClass('selected', entry != null && entry.element.selected);
+				});
 			}
 			
-			// Determine the option text to show.
-			this.setCurrentSelectedTextAndValue();
+			if (this.virtualize) {
+				this.virtual_rows_div.children('div.option').each(function(index, option) {
+					var entry = option_model[parseInt($(option).attr('data-index'), 10)];
+					$(option)
+						.toggleClass('selected', entry != null && entry.element.selected)
+						.attr('aria-selected', (entry != null && entry.element.selected ? 'true' : 'false'));
+				});
+				return;
+			}
+			
+			var replacement_options = this.option_elements;
+			this.linked_select_box.find('option').each(function(index, option) {
+				replacement_options.eq(index)
+					.toggleClass('selected', option.selected)
+					.attr('aria-selected', (option.selected ? 'true' : 'false'));
+			});
 		}
 		
 		/**
-		 * Determines the height and width of the new widget based on the height and
-		 * width of the original <select> widget, and sets those values to the replacement
-		 * container div.
+		 * Toggles the selection of the given 'div.option' element in a multi-select
+		 * widget and commits the new set of selected values. When the Shift key is held
+		 * and a previous option was toggled, every option between the two is selected
+		 * instead, replacing the current selection unless the Ctrl or Cmd key is held too.
+		 * Disabled options keep their selection.
 		 *
-		 * @access		public
+		 * @public
 		 * @memberOf	StyledSelect
-		 * @since		2.0
+		 * @since		2.1
+		 *
+		 * @param		option					jQuery				jQuery extended 'div.option' element that was clicked or toggled with the Space key
+		 * @param		event					jQuery.Event		jQuery 'click' or 'keydown' Event, used to check the modifier keys
 		 */
-		this.resize = function() {
-			// Set the calculated widths
-			this.replacement_container_div.css({width:this.linked_select_box.outerWidth()+'px'});
+		this.toggleMultipleSelection = function(option, event) {
+			var native_options = this.linked_select_box.find('option');
+			var option_index = this.getOptionIndex(option);
+			if (option_index == -1 || this.option_model[option_index].disabled) {
+				return;
+			}
+			var selected = [];
+			native_options.each(function(index, native_option) {
+				selected.push(native_option.selected);
+			});
 			
-			// Set the heights
-			var sel_opt_css = {
-				width:(parseInt(this.replacement_container_div.innerWidth()-this.arrow_span.outerWidth()))+'px'
-			};
-			if (this.options.widget_height != null) {
-				var rpcd_css = {
-					height:this.options.widget_height + "px"
-				};
-				this.linked_select_box.css({height:this.options.widget_height + "px",
-											lineHeight:(parseInt(this.options.widget_height)-2) + "px"});
-				sel_opt_css['height'] = this.options.widget_height + "px";
-				rpcd_css['lineHeight'] = (parseInt(this.options.widget_height)-2) + "px"; // default
-				if ($.browser.msie && parseInt($.browser.version) <= 8) { // IE override
-					rpcd_css['lineHeight'] = this.options.widget_height + "px";
+			if (event.shiftKey && this.anchor_index != -1 && this.anchor_index < selected.length) {
+				var range_start = Math.min(this.anchor_index, option_index);
+				var range_end = Math.max(this.anchor_index, option_index);
+				var add_to_selection = (event.ctrlKey || event.metaKey);
+				for (var i = 0; i < selected.length; i++) {
+					if (this.option_model[i].disabled) {
+						// Like a regular <select> element, the user can't change disabled options.
+						continue;
+					}
+					var in_range = (i >= range_start && i <= range_end);
+					selected[i] = (in_range || (add_to_selection && selected[i]));
 				}
-				this.replacement_container_div.css(rpcd_css);
 			}
 			else {
-				sel_opt_css['height'] = this.linked_select_box.height() + "px";
+				selected[option_index] = ! selected[option_index];
+				this.anchor_index = option_index;
 			}
-			this.selected_option_div.css(sel_opt_css);
+			
+			var new_values = [];
+			native_options.each(function(index, native_option) {
+				if (selected[index]) {
+					new_values.push(native_option.value);
+				}
+			});
+			this.triggerValueChange(new_values);
 		}
 		
 		/**
-		 * Generate a list of <div> elements that contain the <optgroup> and <option>
-		 * elements from the original <select> element, and add them to the
-		 * 'replacement_container_div's DOM.
+		 * Moves the keyboard highlight of a multi-select widget to the given 'div.option'
+		 * element, showing the list of options if needed, and triggers the 'highlight'
+		 * event. Unlike single-select widgets, moving the highlight does not change the
+		 * selected values.
 		 *
 		 * @public
 		 * @memberOf	StyledSelect
-		 * @since		2.0
+		 * @since		2.1
+		 *
+		 * @param		new_option				jQuery				jQuery extended 'div.option' element to highlight
 		 */
-		this.generateOptions = function() {
-			this.replacement_options_div = $('<div></div>').addClass('styled_select_options_container');
-			var replacement_options_html = this.linked_select_box.html();
-			replacement_options_html = replacement_options_html
-										.replace(/\<option/gi, '<div class="option"')
-										.replace(/\<\/option/gi, '</div')
-										.replace(/\<optgroup/gi, '<div class="optgroup"')
-										.replace(/\<\/optgroup/gi, '</div');
-			this.replacement_options_div.html(replacement_options_html);
-			this.replacement_options_div.find('div.optgroup').each(function(index, optgroup) {
-				$(optgroup).prepend($('<div></div>').html($(optgroup).attr('label')).addClass('optgroup_label'));
-			});
+		this.highlightOption = function(new_option) {
+			if (new_option != null && new_option.length > 0) {
+				this.showOptions();
+				this.setHighlight(this.getOptionIndex(new_option));
+				this.triggerEvent('highlight', {value: new_option.attr('value'), option: this.option_model[this.highlighted_index].element});
+			}
+		}
+		
+		/**
+		 * Builds the text shown in the 'styled_select_option_display' <div> element of
+		 * a multi-select widget: a comma separated list of the selected options' text,
+		 * or, when the 'multiple_summary' option is 'count' and more than one option is
+		 * selected, the 'multiple_summary_text' with '%d' replaced by the count.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		selected_texts			Array				The text of each selected <option> element
+		 *
+		 * @returns		String
+		 */
+		this.getMultipleSummary = function(selected_texts) {
+			if (this.options.multiple_summary == 'count' && selected_texts.length > 1) {
+				return this.getText('multiple_summary').replace('%d', selected_texts.length);
+			}
+			return selected_texts.join(', ');
+		}
+		
+		/**
+		 * Triggers the given lifecycle event on the linked_select_box <select> element,
+		 * then calls the matching callback option ('onOpen', 'onClose', 'onHighlight',
+		 * 'onCancel' or 'onBeforeChange') with the <select> element as 'this'. Handlers
+		 * receive the jQuery.Event and the given data object.
+		 *
+		 * A handler calling preventDefault(), or a handler or callback returning false,
+		 * cancels the event.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		type					String				'open', 'close', 'highlight', 'cancel', 'beforechange' or 'create'
+		 * @param		data					Object				The data passed to the handlers
+		 *
+		 * @returns		Boolean				false if the event was canceled
+		 */
+		this.triggerEvent = function(type, data) {
+			var callback_names = {
+				open : 'onOpen',
+				close : 'onClose',
+				highlight : 'onHighlight',
+				cancel : 'onCancel',
+				beforechange : 'onBeforeChange',
+				create : 'onCreate'
+			};
+			var event = $.Event(type);
+			this.linked_select_box.trigger(event, [data]);
 			
-			this.replacement_container_div.append(this.replacement_options_div);
+			var callback = this.options[callback_names[type]];
+			if (callback != null && callback.call(this.linked_select_box.get(0), event, data) === false) {
+				event.preventDefault();
+			}
+			return ! event.isDefaultPrevented();
 		}
 		
 		/**
 		 * Changes the display text and 'current value' for this widget, but the
 		 * user has not yet committed to actually selecting the value and triggering
-		 * the change event.
+		 * the change event. The display shows the new option as rendered by the
+		 * 'selection_template' option, and the 'highlight' event is triggered.
 		 *
 		 * @public
 		 * @memberOf	StyledSelect
 		 * @since		2.0
+		 * @updated		2.1
 		 *
 		 * @param		current_option				jQuery				jQuery extended 'div.option' element indicating the currently highlighted <option>
 		 * @param		current_option				jQuery				jQuery extended 'div.option' element indicating the <option> that we want to select
@@ -381,11 +4177,12 @@
 				this.replacement_options_div.data('new_option', new_option);
 				
 				if (this.replacement_options_div.hasClass('show')) {
-					this.replacement_options_div.find('div.option').removeClass('highlight');
-					new_option.addClass('highlight');
+					this.setHighlight(this.getOptionIndex(new_option));
 				}
-				this.replacement_container_div.find('div.styled_select_option_display').html(new_option.html());
+				var new_entry = this.option_model[this.getOptionIndex(new_option)];
+				this.displaySelection(new_entry != null ? new_entry.element : null);
 				this.current_value = new_option.attr('value');
+				this.triggerEvent('highlight', {value: this.current_value, option: (new_entry != null ? new_entry.element : null)});
 			}
 		}
 		
@@ -395,18 +4192,57 @@
 		 * event, remove all option highlights, the current and new option data
 		 * from the options div, and finally we hide the options div.
 		 *
+		 * Multi-select widgets receive an array of values, which is written back to the
+		 * original <select> element with a single 'change' event. Their options div stays
+		 * open so that several options can be toggled in a row.
+		 *
+		 * The cancelable 'beforechange' event is triggered first, with the old and new
+		 * value(s). If it is canceled nothing changes, and a single-select widget shows
+		 * its selected option again. Picking the selected option of a single-select
+		 * widget again triggers nothing. The picked values are remembered as recent.
+		 *
 		 * @public
 		 * @memberOf	StyledSelect
 		 * @since		2.0
+		 * @updated		2.1
 		 *
-		 * @param		new_value				mixed				A string or number indicating the value of an <option> element
+		 * @param		new_value				mixed				A string or number indicating the value of an <option> element,
+		 * 																or an array of them for multi-select widgets
 		 */
 		this.triggerValueChange = function(new_value) {
+			if (! this.multiple && String(new_value) == this.linked_select_box.val()) {
+				// Picking the selected option again is no change.
+				this.setHighlight(-1);
+				this.replacement_options_div.removeData('current_option');
+				this.replacement_options_div.removeData('new_option');
+				this.hideOptions();
+				return;
+			}
+			if (! this.triggerEvent('beforechange', {old_value: this.linked_select_box.val(), new_value: new_value})) {
+				if (! this.multiple) {
+					// The change was vetoed, so show the selected option again.
+					this.setHighlight(-1);
+					this.replacement_options_div.removeData('current_option');
+					this.replacement_options_div.removeData('new_option');
+					this.hideOptions();
+					this.setCurrentSelectedTextAndValue();
+				}
+				return;
+			}
+			
+			var old_values = [].concat(this.linked_select_box.val() == null ? [] : this.linked_select_box.val());
 			this.linked_select_box.val(new_value).trigger('change');
-			this.replacement_options_div.find('div.option').removeClass('highlight');
+			// Only the values that were not selected yet were picked just now.
+			this.rememberRecentValues($.grep([].concat(new_value == null ? [] : new_value), function(value) {
+				return $.inArray(String(value), old_values) == -1;
+			}));
+			if (this.multiple) {
+				return;
+			}
+			this.setHighlight(-1);
 			this.replacement_options_div.removeData('current_option');
 			this.replacement_options_div.removeData('new_option');
-			this.replacement_options_div.removeClass('show');
+			this.hideOptions();
 		}
 		
 		/**
@@ -416,27 +4252,185 @@
 		 * to the original 'current option' value.
 		 *
 		 * Lastly, we remove all option highlights, the current and new option data
-		 * from the options div, and finally we hide the options div.
+		 * from the options div, hide the options div and trigger the 'cancel' event.
 		 *
 		 * @public
 		 * @memberOf	StyledSelect
 		 * @since		2.0
+		 * @updated		2.1
 		 */
 		this.undoIntermediateChanges = function() {
 			if (this.replacement_options_div.hasClass('show')) {
 				if (this.replacement_options_div.data('current_option') != null) {
-					this.replacement_container_div.find('div.styled_select_option_display').html(this.replacement_options_div.data('current_option').html());
+					var current_entry = this.option_model[this.getOptionIndex(this.replacement_options_div.data('current_option'))];
+					this.displaySelection(current_entry != null ? current_entry.element : null);
 					this.current_value = this.replacement_options_div.data('current_option').attr('value');
 				}
-				this.replacement_options_div.find('div.option').removeClass('highlight');
+				this.setHighlight(-1);
 				this.replacement_options_div.removeData('current_option');
 				this.replacement_options_div.removeData('new_option');
-				this.replacement_options_div.removeClass('show');
+				this.hideOptions();
+				this.triggerEvent('cancel', {value: this.current_value});
+			}
+		}
+		
+		/**
+		 * Lower-cases the given text and strips its diacritics (where the browser
+		 * supports Unicode normalization) so that, for example, 'e' with an acute accent matches 'e'.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		text					String				The text to normalize
+		 *
+		 * @returns		String
+		 */
+		this.normalizeText = function(text) {
+			text = String(text).toLowerCase();
+			if (typeof text.normalize == 'function') {
+				text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+			}
+			return text;
+		}
+		
+		/**
+		 * Determines the printable character typed in a 'keydown' event, if any.
+		 * Key presses using the Ctrl, Alt or Cmd modifiers are never considered
+		 * typed characters.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		event					jQuery.Event		jQuery 'keydown' Event
+		 *
+		 * @returns		String				The normalized character, or null if the key press did not type one
+		 */
+		this.getTypedCharacter = function(event) {
+			if (event.ctrlKey || event.altKey || event.metaKey) {
+				return null;
+			}
+			
+			var key = (event.originalEvent != null ? event.originalEvent.key : undefined);
+			if (typeof key == 'string') {
+				return (key.length == 1 ? this.normalizeText(key) : null);
+			}
+			
+			// Older browsers don't report the 'key', so only letters, digits and spaces are recognized.
+			if ((event.which >= 48 && event.which <= 57) || (event.which >= 65 && event.which <= 90) || event.which == 32) {
+				return String.fromCharCode(event.which).toLowerCase();
+			}
+			return null;
+		}
+		
+		/**
+		 * Native-like type-ahead searching. Adds the typed character to the
+		 * 'type_ahead_buffer' (starting a new search when the 'type_ahead_timeout'
+		 * has passed) and finds the first option, starting from the
+		 * current option and wrapping around, whose text begins with the buffer.
+		 * Typing the same character repeatedly cycles through the options that begin
+		 * with that character instead. Matching ignores case and diacritics.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		event					jQuery.Event		jQuery 'keydown' Event
+		 * @param		current_index			Number				The 'option_model' index of the option to search from, or -1
+		 *
+		 * @returns		jQuery				The matching 'div.option' element, or null if nothing was typed or nothing matches
+		 */
+		this.findTypeAheadOption = function(event, current_index) {
+			var typed_character = this.getTypedCharacter(event);
+			if (typed_character == null) {
+				return null;
+			}
+			
+			var now = new Date().getTime();
+			if (now - this.type_ahead_last_keypress > this.options.type_ahead_timeout) {
+				this.type_ahead_buffer = '';
+			}
+			this.type_ahead_last_keypress = now;
+			if (typed_character == ' ' && this.type_ahead_buffer == '') {
+				// A leading space is not a search.
+				return null;
+			}
+			this.type_ahead_buffer += typed_character;
+			
+			var navigable_indexes = this.getNavigableIndexes();
+			var current_position = $.inArray(current_index, navigable_indexes);
+			var search_text = this.type_ahead_buffer;
+			var start_position = Math.max(current_position, 0);
+			
+			var repeated_character = true;
+			for (var i = 1; i < search_text.length; i++) {
+				if (search_text.charAt(i) != search_text.charAt(0)) {
+					repeated_character = false;
+				}
+			}
+			if (repeated_character) {
+				// Cycle through the options beginning with that character.
+				search_text = search_text.charAt(0);
+				start_position = current_position + 1;
+			}
+			
+			for (var j = 0; j < navigable_indexes.length; j++) {
+				var option_index = navigable_indexes[(start_position + j) % navigable_indexes.length];
+				if (this.normalizeText(this.option_model[option_index].text).indexOf(search_text) == 0) {
+					return this.getOptionElement(option_index);
+				}
 			}
+			return null;
 		}
 		
 		/********* Event handlers *********/
 		
+		/**
+		 * Turns taps on a fully replaced widget into clicks right away, without the
+		 * browser's delay. A touch that moves more than 10 pixels scrolls the list of
+		 * options instead, and selects nothing. The 'click' the browser emulates after
+		 * a tap is suppressed, so it can't pick a second option (a "ghost click").
+		 * Taps on the clear control are left to its own 'click' handler.
+		 *
+		 * @public
+		 * @memberOf	StyledSelect
+		 * @since		2.1
+		 *
+		 * @param		event				jQuery.Event				jQuery 'touchstart', 'touchmove' or 'touchend' Event
+		 */
+		this.handleTouchEvent = function(event) {
+			var touches = (event.originalEvent != null ? event.originalEvent.changedTouches : null);
+			if (touches == null || touches.length == 0) {
+				return;
+			}
+			
+			if (event.type == 'touchstart') {
+				this.touch_start = {x: touches[0].clientX, y: touches[0].clientY, moved: false};
+			}
+			else if (event.type == 'touchmove' && this.touch_start != null) {
+				if (Math.abs(touches[0].clientX - this.touch_start.x) > 10 || Math.abs(touches[0].clientY - this.touch_start.y) > 10) {
+					this.touch_start.moved = true;
+				}
+			}
+			else if (event.type == 'touchend' && this.touch_start != null) {
+				var tapped = ! this.touch_start.moved;
+				this.touch_start = null;
+				if (tapped && ! $(event.target).is('input, span.styled_select_clear')) {
+					// Handle the tap as a click now, and keep the browser from emulating one.
+					event.preventDefault();
+					if (! this.replacement_options_div.hasClass('show')) {
+						// Preventing the click also prevents the focus, which is needed to close the list when the user taps elsewhere.
+						this.replacement_container_div.focus();
+					}
+					var tap = $.Event('click');
+					tap.target = event.target;
+					this.simulateSelectBoxEvent(tap);
+					this.last_tap = new Date().getTime();
+				}
+			}
+		}
+		
 		/**
 		 * Handle simulating what the regular <select> element would do based on a click
 		 * or keydown event, such that the replacement element(s) behave in a similar
@@ -445,6 +4439,7 @@
 		 * @public
 		 * @memberOf	StyledSelect
 		 * @since		2.0
+		 * @updated		2.1
 		 *
 		 * @param		event				jQuery.Event				jQuery 'click', 'blur', or 'keydown' Event
 		 */
@@ -453,6 +4448,11 @@
 			
 			var event_target = $(event.target);
 			
+			if (this.linked_select_box.prop('disabled') && event.type != 'focusout') {
+				// Disabled widgets ignore the user.
+				return;
+			}
+			
 			// Use the jQueryUI keyCode object if the user is using jQueryUI,
 			// otherwise define what we need as we need them.
 			var key_codes = ($.ui !== undefined ?
@@ -464,85 +4464,292 @@
 									PAGE_UP : 33,
 									ENTER : 13,
 									TAB : 9,
-									ESCAPE : 27
+									ESCAPE : 27,
+									SPACE : 32,
+									HOME : 36,
+									END : 35,
+									LEFT : 37,
+									RIGHT : 39,
+									BACKSPACE : 8,
+									DELETE : 46
 								});
 			
 			if (event.type == 'keydown') {
 				// The user pressed something on the keyboard...
+				var from_search_input = (this.searchable && event_target.is(this.search_input));
+				if (from_search_input &&
+					$.inArray(event.which, [key_codes.DOWN, key_codes.PAGE_DOWN, key_codes.UP, key_codes.PAGE_UP,
+											key_codes.ENTER, key_codes.TAB, key_codes.ESCAPE]) == -1) {
+					// ...while typing a search, so let the search input handle it.
+					return;
+				}
+				
+				var shown = this.replacement_options_div.hasClass('show');
 				var new_option = null;
-				var current_option = this.replacement_options_div.find('div.option[value="'+this.current_value+'"]');
+				// Navigate from the highlighted option while the list of options is shown, like a regular <select> element,
+				// and from the selected value otherwise. Multi-select widgets always navigate from the highlighted option.
+				var selected_option = this.getOptionElement(this.findOptionIndex(this.current_value));
+				var current_index = ((this.multiple || (shown && this.highlighted_index != -1)) ? this.highlighted_index : this.findOptionIndex(this.current_value));
+				var current_option = this.getOptionElement(current_index);
+				var typing_ahead = (this.type_ahead_buffer != '' &&
+									new Date().getTime() - this.type_ahead_last_keypress <= this.options.type_ahead_timeout);
 				
 				if (event.which == key_codes.ESCAPE) {
 					this.undoIntermediateChanges();
 				}
-				else if ($.inArray(event.which, [key_codes.ENTER, key_codes.TAB]) != -1) {
-					if (this.replacement_options_div.data('new_option') != null) {
+				else if (this.clear_span != null && (event.which == key_codes.BACKSPACE || event.which == key_codes.DELETE)) {
+					// Backspace and Delete clear the selection.
+					event.preventDefault();
+					this.clearSelection();
+				}
+				else if (event.altKey && (event.which == key_codes.DOWN || event.which == key_codes.UP)) {
+					// Alt+Down and Alt+Up show and hide the list of options.
+					event.preventDefault();
+					if (shown) {
+						this.commitHighlightedOption();
+					}
+					else {
+						this.showOptions();
+					}
+				}
+				else if (event.which == key_codes.TAB) {
+					if (this.multiple) {
+						// Every toggle has already been committed, so just hide the list of options.
+						this.undoIntermediateChanges();
+					}
+					else if (this.replacement_options_div.data('new_option') != null &&
+							 ! this.isOptionFilteredOut(this.replacement_options_div.data('new_option'))) {
 						this.triggerValueChange(this.replacement_options_div.data('new_option').attr('value'));
 					}
 				}
+				else if (event.which == key_codes.ENTER && shown && this.highlighted_group != -1) {
+					// Don't submit the form the widget is in.
+					event.preventDefault();
+					this.toggleGroup(this.highlighted_group);
+				}
+				else if ((event.which == key_codes.LEFT || event.which == key_codes.RIGHT) && shown && this.highlighted_group != -1) {
+					// The arrow pointing where the text flows expands the group and the other one collapses it, so Left expands in right-to-left text.
+					event.preventDefault();
+					var expand = ((event.which == key_codes.RIGHT) != this.rtl);
+					if (this.group_model[this.highlighted_group].collapsed == expand) {
+						this.toggleGroup(this.highlighted_group);
+					}
+				}
+				else if (event.which == key_codes.ENTER && shown && this.create_highlighted) {
+					// Don't submit the form the widget is in.
+					event.preventDefault();
+					this.createOption(this.search_input.val());
+				}
+				else if (event.which == key_codes.ENTER || (event.which == key_codes.SPACE && ! typing_ahead)) {
+					// Don't submit the form the widget is in, or scroll the page.
+					event.preventDefault();
+					if (! shown) {
+						this.showOptions();
+					}
+					else if (this.multiple && (event.which == key_codes.SPACE || from_search_input)) {
+						// Space types into the search input, so Enter toggles the highlighted option there instead.
+						if (current_option.length > 0) {
+							this.toggleMultipleSelection(current_option, event);
+						}
+					}
+					else {
+						this.commitHighlightedOption();
+					}
+				}
 				else {
 					event.preventDefault();
-					if (event.which == key_codes.DOWN) {
-						new_option = current_option.next('div.option');
-						if (new_option.length == 0) {
-							new_option = current_option.next('div.optgroup').find('div.option').first();
+					// Only options the user can see are navigable, in document order regardless of <optgroup> nesting.
+					var navigable_indexes = this.getNavigableIndexes();
+					var current_position = (this.create_highlighted ?
+											// The 'styled_select_create' row comes after the last option.
+											navigable_indexes.length :
+											$.inArray(current_index, navigable_indexes));
+					var last_position = navigable_indexes.length - 1;
+					var new_position = null;
+					if (shown && this.options.collapsible_groups && this.group_model.length > 0 &&
+						(event.which == key_codes.DOWN || event.which == key_codes.UP)) {
+						// Up and Down stop at the labels of option groups too, so that they can be expanded or collapsed.
+						var stops = this.getNavigableStops();
+						var current_stop = (this.create_highlighted ? stops.length : -1);
+						for (var k = 0; k < stops.length && current_stop == -1; k++) {
+							if ((this.highlighted_group != -1 && stops[k].group == this.highlighted_group) ||
+								(this.highlighted_group == -1 && stops[k].option != null && stops[k].option == current_index)) {
+								current_stop = k;
+							}
+						}
+						var new_stop = null;
+						if (event.which == key_codes.DOWN) {
+							if (current_stop < stops.length - 1) {
+								new_stop = current_stop + 1;
+							}
+							else if (current_stop == stops.length - 1 && this.create_div != null && this.create_div.hasClass('show')) {
+								this.highlightCreateRow();
+								return;
+							}
+							else if (this.options.wrap_navigation) {
+								new_stop = 0;
+							}
+						}
+						else {
+							if (current_stop > 0) {
+								new_stop = current_stop - 1;
+							}
+							else if (current_stop == -1 || this.options.wrap_navigation) {
+								new_stop = stops.length - 1;
+							}
 						}
-						if (new_option.length == 0) {
-							new_option = current_option.parent('div.optgroup').next('div.optgroup').find('div.option').first();
+						if (new_stop == null || stops[new_stop] == null) {
+							return;
 						}
-						if (new_option.length == 0) {
-							new_option = current_option.parent('div.optgroup').next('div.option');
+						if (stops[new_stop].group != null) {
+							this.highlightGroup(stops[new_stop].group);
+							return;
 						}
+						new_position = $.inArray(stops[new_stop].option, navigable_indexes);
 					}
-					else if (event.which == key_codes.PAGE_DOWN) {
-						new_option = this.replacement_options_div.find('div.option').last();
+					else if (event.which == key_codes.DOWN && shown && current_position == last_position &&
+						this.create_div != null && this.create_div.hasClass('show') && ! this.create_highlighted) {
+						// Down from the last option moves on to the 'styled_select_create' row.
+						this.highlightCreateRow();
+						return;
+					}
+					else if (event.which == key_codes.DOWN) {
+						if (current_position == -1) {
+							new_position = 0;
+						}
+						else if (current_position < last_position) {
+							new_position = current_position + 1;
+						}
+						else if (this.options.wrap_navigation) {
+							new_position = 0;
+						}
 					}
 					else if (event.which == key_codes.UP) {
-						new_option = current_option.prev('div.option');
-						if (new_option.length == 0) {
-							new_option = current_option.prev('div.optgroup').find('div.option').last();
+						if (current_position == -1) {
+							new_position = last_position;
 						}
-						if (new_option.length == 0) {
-							new_option = current_option.parent('div.optgroup').prev('div.optgroup').find('div.option').last();
+						else if (current_position > 0) {
+							new_position = current_position - 1;
 						}
-						if (new_option.length == 0) {
-							new_option = current_option.parent('div.optgroup').prev('div.option');
+						else if (this.options.wrap_navigation) {
+							new_position = last_position;
 						}
 					}
+					else if (event.which == key_codes.HOME) {
+						new_position = 0;
+					}
+					else if (event.which == key_codes.END) {
+						new_position = last_position;
+					}
+					else if (event.which == key_codes.PAGE_DOWN) {
+						new_position = Math.min(Math.max(current_position, 0) + this.getPageSize(), last_position);
+					}
 					else if (event.which == key_codes.PAGE_UP) {
-						new_option = this.replacement_options_div.find('div.option').first();
+						new_position = Math.max(current_position - this.getPageSize(), 0);
 					}
 					else {
-						// implement searching for elements
+						new_option = this.findTypeAheadOption(event, current_index);
+					}
+					
+					if (this.multiple && current_position == -1 && this.highlighted_group == -1 &&
+						$.inArray(event.which, [key_codes.DOWN, key_codes.UP]) != -1) {
+						// Nothing is highlighted yet, so start from the first selected option.
+						for (var i = 0; i < navigable_indexes.length; i++) {
+							if (this.option_model[navigable_indexes[i]].element.selected) {
+								new_position = i;
+								break;
+							}
+						}
+					}
+					if (new_position != null && navigable_indexes.length > 0) {
+						new_option = this.getOptionElement(navigable_indexes[new_position]);
 					}
 					
-					this.triggerIntermediaryChange(current_option, new_option);
+					if (this.multiple) {
+						this.highlightOption(new_option);
+					}
+					else if (shown) {
+						this.triggerIntermediaryChange(selected_option, new_option);
+					}
+					else if (new_option != null && new_option.length > 0) {
+						// Like a regular <select> element, a closed widget selects the option right away.
+						this.triggerValueChange(new_option.attr('value'));
+					}
 				}
 			}
 			else if (event.type == 'focusout') {
 				// The user's action removed focus from the replacement element...
+				var related_target = (event.relatedTarget || (event.originalEvent != null ? event.originalEvent.relatedTarget : null));
+				if (related_target != null &&
+					(related_target === this.replacement_container_div.get(0) || $.contains(this.replacement_container_div.get(0), related_target) ||
+					 (this.portal_div != null && $.contains(this.portal_div.get(0), related_target)))) {
+					// ...but only moved it within the widget, e.g. to or from the search input.
+					return;
+				}
 				if (! this.replacement_options_div.is(':hover')) {
 					//console.log('blurring!');
 					if (this.replacement_options_div.hasClass('show')) {
-						if (this.replacement_options_div.data('new_option') != null) {
+						if (! this.multiple && this.replacement_options_div.data('new_option') != null) {
 							// ...and the user had started selecting a new option, so trigger the selection operation.
 							this.triggerValueChange(this.replacement_options_div.data('new_option').attr('value'));
 						}
 						else {
-							this.replacement_options_div.removeClass('show');
+							this.hideOptions();
 						}
 					}
 				}
 			}
 			else if (event.type == 'click') {
+				if (event.originalEvent != null && new Date().getTime() - this.last_tap < 500) {
+					// ...but it's the click the browser emulates for a tap that was already handled.
+					return;
+				}
 				// The user clicked on the element...
-				if (event_target.closest('div.styled_select_options_container').length == 0) {
+				var clicked_option = event_target.closest('div.option');
+				var clicked_label = event_target.closest('div.optgroup_label');
+				var clicked_shortcut = event_target.closest('div.styled_select_shortcut');
+				if (clicked_label.length > 0 && this.options.collapsible_groups) {
+					// ...and it was the label of an option group, so expand or collapse that group.
+					this.toggleGroup(parseInt(clicked_label.attr('data-group-index'), 10));
+				}
+				else if (event_target.closest('span.styled_select_pin').length > 0) {
+					// ...and it was the pin control of an option, so pin or unpin that option and keep the list open.
+					this.togglePinned(this.getOptionIndex(clicked_option));
+				}
+				else if (clicked_shortcut.length > 0) {
+					// ...and it was an option of the pinned or recent section, so pick that option.
+					var shortcut_index = parseInt(clicked_shortcut.attr('data-index'), 10);
+					if (this.multiple) {
+						this.toggleMultipleSelection(this.getOptionElement(shortcut_index), event);
+					}
+					else {
+						this.triggerValueChange(this.option_model[shortcut_index].value);
+					}
+				}
+				else if (event_target.closest('div.styled_select_create').length > 0) {
+					// ...and it was the 'styled_select_create' row, so create the option from the search text.
+					this.createOption(this.search_input.val());
+				}
+				else if (event_target.closest('div.styled_select_options_container').length == 0) {
 					// ...and it was not an option or an option group, so hide or show the list of options.
-					this.replacement_options_div.toggleClass('show');
+					if (this.replacement_options_div.hasClass('show')) {
+						this.hideOptions();
+					}
+					else {
+						this.showOptions();
+					}
+				}
+				else if (clicked_option.length == 0 || clicked_option.hasClass('disabled')) {
+					// ...and it was an option group or a disabled option, which can't be selected.
+					return;
 				}
-				else if (event_target.hasClass('option')) {
+				else if (this.multiple) {
+					// ...and it was an option of a multi-select widget, so toggle that option and keep the list open.
+					this.toggleMultipleSelection(clicked_option, event);
+				}
+				else {
 					// ...and it was an option, so select that option and hide the list of options.
-					this.triggerValueChange(event_target.attr('value'));
+					this.triggerValueChange(clicked_option.attr('value'));
 				}
 			}
 		}
@@ -554,9 +4761,16 @@
 		 * 'current_value' variable of this instance of the StyledSelect class
 		 * to the value of the newly selected <option>.
 		 *
+		 * For multi-select widgets the display shows a summary of every selected <option>
+		 * and 'current_value' is set to an array of their values.
+		 *
+		 * Selected options are rendered by the 'selection_template' option, if set, and
+		 * an empty selection shows the 'placeholder'. The validity classes are updated too.
+		 *
 		 * @public
 		 * @memberOf	StyledSelect
 		 * @since		2.0
+		 * @updated		2.1
 		 *
 		 * @param		change_event			jQuery.Event				jQuery 'change' Event
 		 */
@@ -565,11 +4779,42 @@
 			
 			var select_box = this.linked_select_box.get(0);
 			var opts = this.linked_select_box.find('option');
-			var selected_option = opts[select_box.selectedIndex];
-			if (selected_option != null) {
-				this.replacement_container_div.find('div.styled_select_option_display').html(selected_option.text);
-				this.current_value = selected_option.value;
+			if (this.multiple) {
+				var selected_values = [];
+				var selected_texts = [];
+				var selected_options = [];
+				opts.each(function(index, option) {
+					if (option.selected) {
+						selected_values.push(option.value);
+						selected_texts.push(option.text);
+						selected_options.push(option);
+					}
+				});
+				if (selected_options.length == 0 && this.placeholder != null) {
+					this.replacement_container_div.find('div.styled_select_option_display').text(this.placeholder);
+				}
+				else if (this.options.selection_template != null && (this.options.multiple_summary != 'count' || selected_options.length <= 1)) {
+					var selected_htmls = [];
+					for (var i = 0; i < selected_options.length; i++) {
+						selected_htmls.push(this.getSelectionHtml(selected_options[i]));
+					}
+					this.replacement_container_div.find('div.styled_select_option_display').html(selected_htmls.join(', '));
+				}
+				else {
+					this.replacement_container_div.find('div.styled_select_option_display').text(this.getMultipleSummary(selected_texts));
+				}
+				this.replacement_container_div
+					.toggleClass('styled-select-empty', selected_options.length == 0)
+					.toggleClass('styled-select-placeholder', selected_options.length == 0 && this.placeholder != null);
+				this.current_value = selected_values;
+			}
+			else {
+				var selected_option = opts[select_box.selectedIndex];
+				this.displaySelection(selected_option);
+				this.current_value = (selected_option != null ? selected_option.value : null);
 			}
+			this.markSelectedOptions();
+			this.updateValidity();
 		}
 		
 		/**
@@ -595,19 +4840,25 @@
 	
 	/**
      * Constructor. Creates the new 'styled_select' <div> and its children, sets the indicator
-     * arrow image based on the 'image_base' option, and determines the height of the new widget
+     * arrow based on the 'arrow_html' or 'image_base' option, and determines the height of the new widget
      * based on the height of the original <select> widget. Creates all necessary event handlers for
      * changing options.
      *
      * @access		public
      * @memberOf	StyledSelectBox
      * @since		1.0
-     * @updated		2.0
+     * @updated		2.1
+     * @throws		StyledSelectBox exception
      *
      * @param		options_or_method	mixed				An object containing various options, or a string containing a method name.
-     * 															Valid method names: 'resize', 'update'
+     * 															Valid method names: 'resize', 'update', 'refresh', 'enable', 'disable', 'open',
+     * 															'close', 'toggle', 'focus', 'value', 'option', 'destroy'
+     * @param		...					mixed				The arguments of the method: 'value' takes a value and whether to trigger
+     * 															'change', 'option' takes a name and a value, or an object of options
      *
-     * @returns		this				jQuery				The jQuery element being extended gets returned for chaining purposes
+     * @returns		this				mixed				The jQuery element being extended gets returned for chaining purposes,
+     * 															except by the 'value' and 'option' getters which return the value
+     * 															for the first element
      */
 	$.fn.styledSelectBox = function(options_or_method) {
 		//--------------------------------------------------------------------------
@@ -616,26 +4867,6 @@
 		//
 		//--------------------------------------------------------------------------
 		
-		/**
-		 * Default options for the widget. Overwrite by including individual
-		 * options in the 'options' map object when extending the styledSelect widget.
-		 *
-		 * @access		public
-		 * @type		Object
-		 * @memberOf	StyledSelectBox
-		 * @since		1.0
-		 * @updated		2.0
-		 */
-		var default_options = {
-			image_base : null,						// Location of directory where images are located. Default null. Required.
-			classes : [],							// A set of additional class names that will get applied to the replacement 'styled_select' <div>. Default []. Optional.
-			widget_height : null,					// The height of the widget in pixels. Default null. Optional.
-			include_separator_border : true,		// Flag indicating whether to include a border separator between the dropdown arrow and the text content. Optional. Default true.
-			z_index : null,							// Indicates a zIndex value for the new 'styled_select' <div>. Useful for when the default class-based zIndex is insufficient. Default null. Optional.
-			full_replacement : false,				// Flag indicating whether this widget should completely replace the <select> widget and it child <option> and <optgroup> elements. Optional. Default false.
-			multiline : false						// When in 'full_replacement' mode, this flag indicates whether the <option> element replacements should be multi-line. Optional. Default false.
-		};
-		
 		/**
 		 * The actual final set of extended options that will be used in creating
 		 * the replacement styledSelect widget.
@@ -653,11 +4884,38 @@
 		
 		/********* Initialize the styled select box or call a specific function *********/
 		if (typeof options_or_method == "string") {
+			var method_args = Array.prototype.slice.call(arguments, 1);
+			if ($.inArray(options_or_method, ['resize', 'update', 'refresh', 'enable', 'disable', 'open', 'close', 'toggle',
+											  'focus', 'value', 'option', 'destroy']) == -1) {
+				throw 'StyledSelectBox widget: unknown method "' + options_or_method + '".';
+			}
+			
+			if ((options_or_method == 'value' && method_args.length == 0) ||
+				(options_or_method == 'option' && method_args.length == 1 && typeof method_args[0] == 'string')) {
+				// Getters return the value for the first select box instead of the jQuery set.
+				var first_styled_select = this.first().data('styled_select');
+				if (first_styled_select == null) {
+					return undefined;
+				}
+				if (options_or_method == 'value') {
+					return first_styled_select.linked_select_box.val();
+				}
+				return first_styled_select.options[method_args[0]];
+			}
+			
 			this.each(function(index, original_select_box) {
 				var this_styled_select = $(original_select_box).data('styled_select');
+				if (this_styled_select == null) {
+					// Not a styled select box (anymore), so there is nothing to call.
+					return;
+				}
 				/* Call a specific function */
 				
-				if (options_or_method == 'resize') {
+				if (options_or_method == 'destroy') {
+					this_styled_select.destroy();
+					return;
+				}
+				else if (options_or_method == 'resize') {
 					// Resize the existing styledSelect widget according to the original select widget and
 					// the options stored in the 'styled_select_options' data
 					this_styled_select.resize();
@@ -665,21 +4923,57 @@
 				else if (options_or_method == 'update') {
 					this_styled_select.setCurrentSelectedTextAndValue();
 				}
+				else if (options_or_method == 'refresh') {
+					this_styled_select.refresh();
+				}
+				else if (options_or_method == 'enable') {
+					this_styled_select.setDisabled(false);
+				}
+				else if (options_or_method == 'disable') {
+					this_styled_select.setDisabled(true);
+				}
+				else if (options_or_method == 'open') {
+					this_styled_select.open();
+				}
+				else if (options_or_method == 'close') {
+					this_styled_select.close();
+				}
+				else if (options_or_method == 'toggle') {
+					this_styled_select.toggle();
+				}
+				else if (options_or_method == 'focus') {
+					this_styled_select.focus();
+				}
+				else if (options_or_method == 'value') {
+					this_styled_select.setValue(method_args[0], method_args[1]);
+				}
+				else if (options_or_method == 'option') {
+					// Most options are applied when the widget is built, so rebuild it with the new option(s).
+					var new_options = method_args[0];
+					if (typeof new_options == 'string') {
+						new_options = {};
+						new_options[method_args[0]] = method_args[1];
+					}
+					var option_overrides = $.extend({}, this_styled_select.option_overrides, new_options);
+					new_options = $.extend({}, this_styled_select.options, new_options);
+					this_styled_select.destroy();
+					this_styled_select = new StyledSelect();
+					this_styled_select.initStyledSelect($(original_select_box), new_options, option_overrides);
+				}
 				
 				$(original_select_box).data('styled_select', this_styled_select);
 			});
 		}
 		else {
-			options = $.extend(default_options, options_or_method);
-			
-			// First check for required options.
-			if (options.image_base == null) {
-				throw 'StyledSelectBox widget: no "image_base" option specified.';
-				return this;
-			}
+			// Merge into a new object, so that neither the defaults nor the caller's options are changed.
+			options = $.extend({}, $.fn.styledSelectBox.defaults, options_or_method);
 			
 			/* Initialize each styled select box */
 			this.each(function(index, original_select_box) {
+				if ($(original_select_box).data('styled_select') != null) {
+					// Re-initialize the styled select box instead of adding a second widget.
+					$(original_select_box).data('styled_select').destroy();
+				}
 				var this_styled_select = new StyledSelect();
 				this_styled_select.initStyledSelect($(original_select_box), options);
 				$(original_select_box).data('styled_select', this_styled_select);
@@ -689,4 +4983,82 @@
 		/********* Return the newly extended element(s) for chaining *********/
 		return this;
 	}
+	
+	/**
+	 * Default options for the widget. Overwrite by including individual
+	 * options in the 'options' map object when extending the styledSelect widget,
+	 * or with a matching 'data-styled-select-*' attribute on the <select> element.
+	 * Change this object itself to set site-wide defaults before initializing any
+	 * widget, for example $.fn.styledSelectBox.defaults.widget_height = 30;
+	 *
+	 * @access		public
+	 * @type		Object
+	 * @memberOf	StyledSelectBox
+	 * @since		1.0
+	 * @updated		2.1
+	 */
+	$.fn.styledSelectBox.defaults = {
+		image_base : null,						// Location of directory where the 'small-arrow.png' indicator arrow image is located. Optional. Default null (a built-in SVG arrow is used).
+		classes : [],							// A set of additional class names that will get applied to the replacement 'styled_select' <div>. Default []. Optional.
+		widget_height : null,					// The height of the widget in pixels. Default null. Optional.
+		include_separator_border : true,		// Flag indicating whether to include a border separator between the dropdown arrow and the text content. Optional. Default true.
+		z_index : null,							// Indicates a zIndex value for the new 'styled_select' <div>. Useful for when the default class-based zIndex is insufficient. Default null. Optional.
+		full_replacement : false,				// Flag indicating whether this widget should completely replace the <select> widget and it child <option> and <optgroup> elements. Optional. Default false.
+		multiline : false,						// When in 'full_replacement' mode, this flag indicates whether the <option> element replacements should be multi-line. Optional. Default false.
+		multiple_summary : 'list',				// How a multi-select widget displays its selected options: 'list' (comma separated text) or 'count'. Optional. Default 'list'.
+		multiple_summary_text : null,			// Overrides the 'multiple_summary' text of the 'i18n' option. Optional. Default null.
+		type_ahead_timeout : 1000,				// When in 'full_replacement' mode, the number of milliseconds after the last key press before a new type-ahead search is started. Optional. Default 1000.
+		searchable : false,						// When in 'full_replacement' mode, flag indicating whether to show a search input that filters the list of options. Optional. Default false.
+		no_results_text : null,					// Overrides the 'no_results' text of the 'i18n' option. Optional. Default null.
+		source : null,							// When in 'full_replacement' mode, a URL or function(params) providing the options remotely, as an array (or promise of one) of {value, text, group} objects. Optional. Default null.
+		source_page_size : 50,					// The number of options requested from the 'source' per page. Optional. Default 50.
+		source_delay : 300,						// The number of milliseconds after the user stops typing a search before the 'source' is queried. Optional. Default 300.
+		source_scroll_threshold : 20,			// The distance in pixels from the bottom of the list of options at which the next page is loaded from the 'source'. Optional. Default 20.
+		loading_text : null,					// Overrides the 'loading' text of the 'i18n' option. Optional. Default null.
+		load_error_text : null,					// Overrides the 'load_error' text of the 'i18n' option. Optional. Default null.
+		virtualize : false,						// When in 'full_replacement' mode, flag indicating whether to only render the options scrolled into view, for select boxes with thousands of options. Optional. Default false.
+		virtual_row_height : 20,				// The fixed height in pixels of each row of a virtualized widget. Must match the CSS. Optional. Default 20.
+		virtual_buffer : 10,					// The number of rows rendered above and below the rows in view of a virtualized widget. Optional. Default 10.
+		option_template : null,					// When in 'full_replacement' mode, a function(option) returning the HTML or DOM node shown for an <option> element in the list of options. Optional. Default null.
+		group_template : null,					// When in 'full_replacement' mode, a function(optgroup) returning the HTML or DOM node shown as the label of an <optgroup> element. Optional. Default null.
+		selection_template : null,				// A function(option) returning the HTML or DOM node shown in the widget for the selected <option> element. Optional. Default null.
+		onOpen : null,							// A function(event, data) called when the list of options of a fully replaced widget is shown. Optional. Default null.
+		onClose : null,							// A function(event, data) called when the list of options of a fully replaced widget is hidden. Optional. Default null.
+		onHighlight : null,						// A function(event, data) called when an option of a fully replaced widget is highlighted, with its 'value' and 'option' element. Optional. Default null.
+		onCancel : null,						// A function(event, data) called when the user cancels the change he/she was making, with the restored 'value'. Optional. Default null.
+		onBeforeChange : null,					// A function(event, data) called before the value changes, with the 'old_value' and 'new_value'. Return false to veto the change. Optional. Default null.
+		append_to : null,						// When in 'full_replacement' mode, an element or selector (like 'body') the list of options is moved to, so that containers with hidden overflow don't clip it. Optional. Default null.
+		mobile_mode : 'replace',				// How 'full_replacement' widgets behave on touch devices: 'native' uses the OS picker, 'replace' keeps the replacement, 'auto' uses the OS picker unless the widget is 'searchable' or has a 'source'. Optional. Default 'replace'.
+		wrap_navigation : false,				// When in 'full_replacement' mode, flag indicating whether the Up and Down keys wrap around from the last option to the first and back. Optional. Default false.
+		placeholder : null,						// Text shown instead of an empty selection, overriding the 'placeholder' text of the 'i18n' option. Optional. Default null.
+		allow_clear : false,					// Flag indicating whether to add a control that clears the selection, also cleared with the Backspace and Delete keys. Optional. Default false.
+		clear_text : null,						// Overrides the 'clear' text of the 'i18n' option. Optional. Default null.
+		arrow_html : null,						// Custom markup for the indicator dropdown arrow, used instead of the built-in SVG arrow and the 'image_base' image. Optional. Default null.
+		theme : 'default',						// The bundled theme ('default', 'flat' or 'dark'). Null for no theme class. Optional. Default 'default'.
+		creatable : false,						// When in 'full_replacement' mode, flag indicating whether the user can add an option with the text typed into the search input. Optional. Default false.
+		create_text : null,						// Overrides the 'create' text of the 'i18n' option. Optional. Default null.
+		create_filter : null,					// A function(text) returning the text (or a {value, text} object) of the option to create, or false to reject it. Optional. Default null.
+		onCreate : null,						// A function(event, data) called when the user created an option, with its 'value', 'text' and 'option' element. Optional. Default null.
+		collapsible_groups : false,				// When in 'full_replacement' mode, flag indicating whether clicking (or pressing Enter on) the label of an option group collapses or expands it. Optional. Default false.
+		i18n : {								// The built-in texts of the widget. Texts passed in for a widget override these global ones one by one. Optional.
+			placeholder : null,					// Text shown instead of an empty selection. Default null.
+			no_results : 'No results found',	// Shown in the list of options of a 'searchable' widget when no option matches the search. Default 'No results found'.
+			multiple_summary : '%d selected',	// Shown by a multi-select widget when 'multiple_summary' is 'count' and more than one option is selected. '%d' is replaced by the count. Default '%d selected'.
+			loading : 'Loading...',				// Shown at the bottom of the list of options while options are loading from the 'source'. Default 'Loading...'.
+			load_error : 'The options could not be loaded',	// Shown at the bottom of the list of options when loading from the 'source' failed. Default 'The options could not be loaded'.
+			clear : 'Clear selection',			// Title and accessible name of the clear control. Default 'Clear selection'.
+			create : 'Create \u201C%s\u201D',		// The row that creates an option. '%s' is replaced by the search text. Default 'Create \u201C%s\u201D'.
+			search : 'Search',					// Accessible name of the search input. Default 'Search'.
+			pinned : 'Pinned',					// Label of the section of pinned options. Default 'Pinned'.
+			recent : 'Recently used',			// Label of the section of recently picked options. Default 'Recently used'.
+			pin : 'Pin',						// Title and accessible name of the control that pins an option. Default 'Pin'.
+			unpin : 'Unpin'						// Title and accessible name of the control that unpins an option. Default 'Unpin'.
+		},
+		depends_on : null,						// An element or selector of the parent <select> element whose value decides the options of this one, by their 'data-parent-value' attribute or the 'depends_loader'. Optional. Default null.
+		depends_loader : null,					// A function(parent_value) returning an array (or promise of one) of {value, text, group} objects, the options of a 'depends_on' widget for the parent's value. Optional. Default null.
+		recent : 0,								// When in 'full_replacement' mode, the number of recently picked values listed in a section at the top of the list of options. 0 for none. Optional. Default 0.
+		pinned : false,							// When in 'full_replacement' mode, flag indicating whether to list pinned options in a section at the top of the list of options, with a control on each option to pin it. Optional. Default false.
+		storage_key : null,						// The key the recent and pinned values are stored under. Optional. Default null (made from the id of the <select> element, or not stored without one).
+		storage : null							// An object with getItem(key) and setItem(key, value) methods the recent and pinned values are stored in. Optional. Default null (localStorage, or an in-memory store if it can't be used).
+	};
 })(jQuery);
\ No newline at end of file